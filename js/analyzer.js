@@ -0,0 +1,269 @@
+/**
+ * @module analyzer
+ * @description Offline "I feel…" analyzer for the 32-Aspect Self Clock Interactive (SCI)
+ * Deterministic and fully local: free text is matched against the weighted
+ * lexicon in lexicon.js, with negation ("not safe") and intensity ("very
+ * lonely") modifiers, to give 32 activations, a dominant lens and, for every
+ * aspect that moved, the words that drove it.
+ *
+ * Aspects no word touches stay at the neutral BASELINE; each matched term
+ * moves its aspect by weight × intensity × SCALE (flipped and reduced when
+ * negated), clamped to 0-100. Under a negation an intensifier softens rather
+ * than strengthens: "not very safe" moves Safety less than "not safe".
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS } from './data.js';
+import { LENSES } from './lenses.js';
+import { LEXICON } from './lexicon.js';
+
+/**
+ * Activation of an aspect no word touches
+ */
+export const BASELINE = 50;
+
+/**
+ * Activation change for a term of weight 1 at normal intensity
+ */
+export const SCALE = 25;
+
+/**
+ * Validate a lexicon (see lexicon.js for the format)
+ * @param {Object} lexicon - Lexicon data
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+export function validateLexicon(lexicon) {
+  const errors = [];
+  const isWeight = (value) => typeof value === 'number' && value >= -1 && value <= 1;
+  const checkTerms = (path, terms) => {
+    if (!terms || typeof terms !== 'object') {
+      errors.push(`${path}: expected an object of term weights`);
+      return;
+    }
+    Object.entries(terms).forEach(([term, weight]) => {
+      if (!term.trim() || term !== term.toLowerCase()) errors.push(`${path}["${term}"]: terms must be lower case`);
+      if (!isWeight(weight)) errors.push(`${path}["${term}"]: expected a weight from -1 to 1, got ${JSON.stringify(weight)}`);
+    });
+  };
+
+  if (!lexicon || typeof lexicon !== 'object') return ['Expected a lexicon object'];
+  const names = ASPECTS.map(aspect => aspect.name);
+  Object.keys(lexicon.aspects || {})
+    .filter(name => !names.includes(name))
+    .forEach(name => errors.push(`aspects["${name}"]: not an aspect name`));
+  Object.entries(lexicon.aspects || {}).forEach(([name, terms]) => checkTerms(`aspects["${name}"]`, terms));
+
+  if (!Array.isArray(lexicon.negations) || lexicon.negations.some(word => typeof word !== 'string')) {
+    errors.push('negations: expected an array of words');
+  }
+  if (!Number.isInteger(lexicon.negationScope) || lexicon.negationScope < 0) {
+    errors.push(`negationScope: expected a whole number of tokens, got ${JSON.stringify(lexicon.negationScope)}`);
+  }
+  if (typeof lexicon.negationFactor !== 'number' || lexicon.negationFactor < 0 || lexicon.negationFactor > 1) {
+    errors.push(`negationFactor: expected 0-1, got ${JSON.stringify(lexicon.negationFactor)}`);
+  }
+  Object.entries(lexicon.intensifiers || {}).forEach(([word, factor]) => {
+    if (typeof factor !== 'number' || factor <= 0) errors.push(`intensifiers["${word}"]: expected a positive multiplier, got ${JSON.stringify(factor)}`);
+  });
+  Object.entries(lexicon.lensCues || {}).forEach(([lens, terms]) => {
+    if (!Object.prototype.hasOwnProperty.call(LENSES, lens)) errors.push(`lensCues["${lens}"]: not a lens`);
+    else checkTerms(`lensCues["${lens}"]`, terms);
+  });
+  return errors;
+}
+
+/**
+ * Split text into lower-case word tokens and clause breaks ('.')
+ * Clause breaks end the reach of a negation.
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().replace(/[’‘]/g, "'").match(/[a-z][a-z'-]*|[.,;:!?]+/g) || [])
+    .map(token => (/^[a-z]/.test(token) ? token : '.'));
+}
+
+/**
+ * Compile a term ("burn* out") into word matchers
+ */
+function compileTerm(term) {
+  return term.trim().split(/\s+/).map(word => (word.endsWith('*')
+    ? (token) => token.startsWith(word.slice(0, -1))
+    : (token) => token === word));
+}
+
+/**
+ * Length of the match of a compiled term at token i (0 for none)
+ */
+function matchAt(matchers, tokens, i) {
+  if (i + matchers.length > tokens.length) return 0;
+  return matchers.every((matches, k) => tokens[i + k] !== '.' && matches(tokens[i + k])) ? matchers.length : 0;
+}
+
+/**
+ * Create an analyzer for a lexicon
+ * @param {Object} lexicon - Lexicon data (defaults to LEXICON)
+ * @returns {Function} (text) => analysis (see analyzeText())
+ * @throws {Error} Listing every problem in the lexicon
+ */
+export function createAnalyzer(lexicon = LEXICON) {
+  const errors = validateLexicon(lexicon);
+  if (errors.length) {
+    throw new Error(`Invalid analyzer lexicon:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const aspectTerms = Object.entries(lexicon.aspects).flatMap(([name, terms]) => {
+    const id = ASPECTS.find(aspect => aspect.name === name).id;
+    return Object.entries(terms).map(([term, weight]) => ({ id, term, weight, matchers: compileTerm(term) }));
+  });
+  const cueTerms = Object.entries(lexicon.lensCues || {}).flatMap(([lens, terms]) =>
+    Object.entries(terms).map(([term, weight]) => ({ lens, term, weight, matchers: compileTerm(term) }))
+  );
+  const negations = new Set(lexicon.negations);
+  const intensifiers = lexicon.intensifiers || {};
+
+  return (text) => {
+    const tokens = tokenize(text);
+    const scores = ASPECTS.map(() => 0);
+    const drivers = ASPECTS.map(() => []);
+    const lensScores = Object.fromEntries(Object.keys(LENSES).map(lens => [lens, 0]));
+    let negation = null;      // {start, until}: active negation's token and the last token it reaches
+
+    for (let i = 0; i < tokens.length;) {
+      const token = tokens[i];
+      if (token === '.') {
+        negation = null;
+        i++;
+        continue;
+      }
+
+      const previous = tokens[i - 1];
+      const negated = negation !== null && i <= negation.until;
+      const modifier = previous && previous !== '.' ? intensifiers[previous] ?? 1 : 1;
+      const intensity = negated ? Math.min(modifier, 1 / modifier) : modifier;
+
+      // Lens cues are extra evidence and never consume tokens
+      cueTerms.forEach(cue => {
+        if (matchAt(cue.matchers, tokens, i)) lensScores[cue.lens] += cue.weight * intensity;
+      });
+
+      // The longest matching aspect term wins (it may drive several aspects)
+      const hits = aspectTerms
+        .map(entry => ({ entry, length: matchAt(entry.matchers, tokens, i) }))
+        .filter(hit => hit.length);
+      const longest = Math.max(0, ...hits.map(hit => hit.length));
+
+      if (!longest) {
+        if (negations.has(token)) negation = { start: i, until: i + lexicon.negationScope };
+        i++;
+        continue;
+      }
+
+      // Quote the span that produced the hit, modifiers included
+      const from = negated ? negation.start : (intensity !== 1 ? i - 1 : i);
+      const text = tokens.slice(from, i + longest).join(' ');
+      hits.filter(hit => hit.length === longest).forEach(({ entry }) => {
+        const contribution = entry.weight * intensity * (negated ? -lexicon.negationFactor : 1);
+        scores[entry.id] += contribution;
+        drivers[entry.id].push({
+          term: entry.term,
+          text,
+          weight: entry.weight,
+          intensity,
+          negated,
+          contribution
+        });
+        lensScores[ASPECTS[entry.id].domain] += Math.abs(contribution);
+      });
+      i += longest;
+    }
+
+    const activations = scores.map(score => Math.max(0, Math.min(100, Math.round(BASELINE + score * SCALE))));
+    const explanations = ASPECTS
+      .filter(aspect => drivers[aspect.id].length)
+      .map(aspect => ({
+        id: aspect.id,
+        aspect: aspect.name,
+        activation: activations[aspect.id],
+        score: scores[aspect.id],
+        drivers: drivers[aspect.id]
+      }))
+      .sort((a, b) => Math.abs(b.score) - Math.abs(a.score) || a.id - b.id);
+
+    // Ties (and no evidence at all) go to the first lens in LENSES order
+    const dominantLens = Object.keys(lensScores)
+      .reduce((best, lens) => (lensScores[lens] > lensScores[best] ? lens : best));
+
+    return {
+      activations,
+      dominantLens,
+      lensScores,
+      explanations,
+      reflection: reflect(explanations, dominantLens)
+    };
+  };
+}
+
+/**
+ * One-sentence summary of what the text engaged and depleted
+ */
+function reflect(explanations, lens) {
+  if (!explanations.length) return 'No lexicon words matched; every aspect stays at its neutral level.';
+  const names = (items) => items.slice(0, 2).map(item => item.aspect).join(' and ');
+  const raised = explanations.filter(item => item.score > 0);
+  const lowered = explanations.filter(item => item.score < 0);
+  const parts = [];
+  if (raised.length) parts.push(`engage ${names(raised)}`);
+  if (lowered.length) parts.push(`strain ${names(lowered)}`);
+  return `Your words ${parts.join(' and ')}, seen most clearly through the ${LENSES[lens].label} lens.`;
+}
+
+/**
+ * Analyzer for the shipped lexicon (compiled on first use)
+ */
+let defaultAnalyzer = null;
+
+/**
+ * Analyze text with the shipped lexicon
+ * @param {string} text - Free text ("I feel…")
+ * @returns {Object} {activations, dominantLens, lensScores, explanations, reflection}
+ *   explanations lists each aspect that moved, largest change first:
+ *   {id, aspect, activation, score, drivers: [{term, text, weight, intensity, negated, contribution}]}
+ */
+export function analyzeText(text) {
+  if (!defaultAnalyzer) defaultAnalyzer = createAnalyzer();
+  return defaultAnalyzer(text);
+}
+
+/**
+ * Readable explanation of one aspect, e.g. 'Safety 37 ← "not very safe" −0.53'
+ * @param {Object} explanation - Entry from analysis.explanations
+ * @returns {string}
+ */
+export function describeExplanation(explanation) {
+  const signed = (value) => `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(2)}`;
+  const drivers = explanation.drivers.map(driver => `“${driver.text}” ${signed(driver.contribution)}`);
+  return `${explanation.aspect} ${explanation.activation} ← ${drivers.join(', ')}`;
+}
+
+/**
+ * Echo backend backed by the offline analyzer (see echo.js)
+ * @param {Object} options
+ * @param {Object} [options.lexicon] - Lexicon (defaults to LEXICON)
+ * @returns {Object} Backend {name, analyze(text)}
+ */
+export function createLexiconBackend({ lexicon = LEXICON } = {}) {
+  const analyze = lexicon === LEXICON ? analyzeText : createAnalyzer(lexicon);
+  return {
+    name: 'lexicon',
+    async analyze(text) {
+      const analysis = analyze(text);
+      return {
+        reflection: analysis.reflection,
+        activations: analysis.activations,
+        dominant_lens: analysis.dominantLens
+      };
+    }
+  };
+}
@@ -4,7 +4,9 @@
  * 
  * This module defines the 8 Harmonic Rings and 12 Developmental Stages,
  * providing the foundational data structure for kinetic field resonance
- * and harmonic breathing visualization.
+ * and harmonic breathing visualization. The derived ontology (ASPECTS,
+ * HARMONIC_RINGS, STAGES) is built from RINGS and STAGE_NAMES and
+ * validated once at load time.
  * 
  * @author Adrian Lei Martinez-Conol
  * @organization Only When Prompted Research Initiative
@@ -15,11 +17,13 @@
  * RINGS: The 8 Harmonic Fields
  * Each ring represents a developmental domain with a characteristic frequency.
  * Frequencies determine the harmonic breathing rate (pulse oscillation).
+ * The domain (mind / body / soul) is inherited by every aspect in the ring.
  */
 export const RINGS = [
     { 
         level: 1, 
         name: "Imprinting", 
+        domain: "body",
         freq: 0.5, 
         aspects: ["Safety", "Trust", "Belonging", "Worth"],
         description: "Foundation layer: Core survival imprints and attachment schemas"
@@ -27,6 +31,7 @@ export const RINGS = [
     { 
         level: 2, 
         name: "Autonomy", 
+        domain: "body",
         freq: 0.7, 
         aspects: ["Independence", "Initiative", "Creativity", "Responsibility"],
         description: "Self-agency layer: Emergence of will and self-direction"
@@ -34,6 +39,7 @@ export const RINGS = [
     { 
         level: 3, 
         name: "Competence", 
+        domain: "body",
         freq: 1.2, 
         aspects: ["Learning", "Skill", "Performance", "Recognition"],
         description: "Capability layer: Mastery and efficacy development"
@@ -41,6 +47,7 @@ export const RINGS = [
     { 
         level: 4, 
         name: "Identity", 
+        domain: "mind",
         freq: 1.8, 
         aspects: ["Self-Awareness", "Self-Expression", "Role-Clarity", "Authenticity"],
         description: "Self-concept layer: Consolidation of personal identity"
@@ -48,6 +55,7 @@ export const RINGS = [
     { 
         level: 5, 
         name: "Intimacy", 
+        domain: "mind",
         freq: 2.4, 
         aspects: ["Emotional Intelligence", "Vulnerability", "Empathy", "Mutuality"],
         description: "Relational layer: Deep connection and emotional attunement"
@@ -55,13 +63,15 @@ export const RINGS = [
     { 
         level: 6, 
         name: "Generativity", 
+        domain: "mind",
         freq: 3.1, 
-        aspects: ["Productivity", "Creativity", "Mentorship", "Impact"],
+        aspects: ["Productivity", "Innovation", "Mentorship", "Impact"],
         description: "Contribution layer: Creating value beyond self"
     },
     { 
         level: 7, 
         name: "Integration", 
+        domain: "soul",
         freq: 4.2, 
         aspects: ["Perspective", "Acceptance", "Balance", "Compassion"],
         description: "Wisdom layer: Synthesis and meta-awareness"
@@ -69,6 +79,7 @@ export const RINGS = [
     { 
         level: 8, 
         name: "Transcendence", 
+        domain: "soul",
         freq: 6.8, 
         aspects: ["Unity", "Service", "Love", "Wisdom"],
         description: "Universal layer: Self-transcendence and cosmic connection"
@@ -99,45 +110,19 @@ export const STAGE_NAMES = [
  * generateAspects()
  * Creates the 32-node dataset with kinetic properties.
  * 
- * Each node contains:
- * - Identity data (id, name, ring, stage)
- * - Physics properties (frequency, hue, targetValue)
- * - Semantic metadata (description)
+ * Each node is a copy of the canonical ASPECTS entry plus:
+ * - Activation state (value, targetValue)
  * 
  * @returns {Array<Object>} Array of 32 aspect objects
  */
 export function generateAspects() {
-    const nodes = [];
-    let idCounter = 0;
-    
-    RINGS.forEach((ring, rIndex) => {
-        ring.aspects.forEach((name) => {
-            nodes.push({
-                // Identity
-                id: idCounter,
-                name: name,
-                ringIndex: rIndex,          // 0-7 (inner to outer)
-                ringName: ring.name,
-                
-                // Physics
-                frequency: ring.freq,        // Hz for harmonic breathing
-                hue: (idCounter * 360 / 32) % 360,  // Even color distribution
-                
-                // Stage Association (circular distribution)
-                stageAssoc: idCounter % 12,  // 0-11 (12-hour clock face)
-                
-                // Activation State
-                value: 0,                    // Current rendered value (smoothed)
-                targetValue: Math.random() * 20,  // Target value (user/system set)
-                
-                // Metadata
-                description: `Resonant node for ${name} within the ${ring.name} field. This aspect oscillates at ${ring.freq} Hz and belongs to developmental ring ${rIndex + 1}.`
-            });
-            idCounter++;
-        });
-    });
-    
-    return nodes;
+    return ASPECTS.map(aspect => ({
+        ...aspect,
+        
+        // Activation State
+        value: 0,                    // Current rendered value (smoothed)
+        targetValue: Math.random() * 20   // Target value (user/system set)
+    }));
 }
 
 /**
@@ -150,7 +135,190 @@ export const VIS_CONFIG = {
     MIN_RADIUS_RATIO: 0.2,    // Inner ring starts at 20% of max radius
     RING_SPACING: 0.11,        // 11% spacing between rings
     PULSE_AMPLITUDE: 3,        // Pixel amplitude of harmonic breathing
+    BREATH_SCALE: 0.2,         // Slows ring frequencies to a visible breathing pace
     VALUE_EXPANSION: 0.12,     // Pixel expansion per activation unit
     RESONANCE_THRESHOLD: 15,   // Value difference for resonance links
     LERP_SPEED: 0.08          // Physics smoothing factor (0-1)
 };
+
+/**
+ * DOMAINS: The three lenses an aspect can belong to
+ */
+export const DOMAINS = ['mind', 'body', 'soul'];
+
+/**
+ * validateOntology()
+ * Checks ring and stage definitions for wrong counts and duplicate names.
+ * 
+ * @param {Array<Object>} rings - Ring definitions (defaults to RINGS)
+ * @param {Array<string>} stageNames - Stage names (defaults to STAGE_NAMES)
+ * @throws {Error} Listing every problem found
+ */
+export function validateOntology(rings = RINGS, stageNames = STAGE_NAMES) {
+    const errors = [];
+    const aspectsPerRing = VIS_CONFIG.ASPECT_COUNT / VIS_CONFIG.RING_COUNT;
+    
+    if (rings.length !== VIS_CONFIG.RING_COUNT) {
+        errors.push(`expected ${VIS_CONFIG.RING_COUNT} rings, found ${rings.length}`);
+    }
+    if (stageNames.length !== VIS_CONFIG.STAGE_COUNT) {
+        errors.push(`expected ${VIS_CONFIG.STAGE_COUNT} stages, found ${stageNames.length}`);
+    }
+    
+    const findDuplicates = (names) => names.filter((name, i) => names.indexOf(name) !== i);
+    
+    const ringNames = rings.map(ring => ring.name);
+    findDuplicates(ringNames).forEach(name => errors.push(`duplicate ring name "${name}"`));
+    findDuplicates(stageNames).forEach(name => errors.push(`duplicate stage name "${name}"`));
+    
+    const aspectNames = [];
+    rings.forEach(ring => {
+        if (!DOMAINS.includes(ring.domain)) {
+            errors.push(`ring "${ring.name}" has invalid domain "${ring.domain}"`);
+        }
+        if (ring.aspects.length !== aspectsPerRing) {
+            errors.push(`ring "${ring.name}" has ${ring.aspects.length} aspects, expected ${aspectsPerRing}`);
+        }
+        ring.aspects.forEach(name => {
+            if (aspectNames.includes(name)) {
+                errors.push(`duplicate aspect name "${name}" (in ring "${ring.name}")`);
+            }
+            aspectNames.push(name);
+        });
+    });
+    
+    if (aspectNames.length !== VIS_CONFIG.ASPECT_COUNT) {
+        errors.push(`expected ${VIS_CONFIG.ASPECT_COUNT} aspects, found ${aspectNames.length}`);
+    }
+    
+    if (errors.length) {
+        throw new Error(`Invalid Self Clock ontology:\n  - ${errors.join('\n  - ')}`);
+    }
+}
+
+validateOntology();
+
+/**
+ * makeDevProfile()
+ * Developmental profile generator (smooth rise → peak → taper), one point
+ * per stage. The generator is ported from the monolith; the curves differ,
+ * since the monolith seeds it with each faculty's own stage and ring while
+ * ASPECTS passes the aspect's clock placement.
+ * 
+ * @param {number} index - Aspect index (0-31), seeds the small per-aspect variation
+ * @param {number} stage - Nominal stage of the aspect (1-12)
+ * @param {number} ring - Ring level of the aspect (1-8)
+ * @returns {Array<number>} 12 activations (0-100), one per stage
+ */
+export function makeDevProfile(index, stage, ring) {
+    const len = VIS_CONFIG.STAGE_COUNT;
+    const phase = (stage - 1) / 12;         // shift by nominal stage
+    const amp = 0.6 + (ring / 8) * 0.3;     // outer rings slightly higher
+    const noise = (seed) => Math.sin((index + 1) * (seed + 1.73)) * 0.04;
+    return Array.from({ length: len }, (_, s) => {
+        const t = s / (len - 1);            // 0..1 lifespan
+        const bell = Math.sin(Math.PI * (t * 0.85 + phase * 0.12));
+        const base = Math.max(0, bell) * amp + 0.15 * (1 - Math.pow(1 - t, 3));
+        const val = Math.max(0, Math.min(1, base + noise(s)));
+        return Math.round(val * 100);
+    });
+}
+
+/**
+ * ASPECTS: The canonical 32 aspects (frozen)
+ * 
+ * Each aspect contains:
+ * - Identity data (id, name, ring, stage, domain)
+ * - Physics properties (frequency, hue)
+ * - Developmental profile (devProfile: activation at each of the 12 stages)
+ * - Generated links (resonanceLinks: same slot in adjacent rings)
+ * - Semantic metadata (description)
+ */
+export const ASPECTS = Object.freeze(RINGS.flatMap((ring, rIndex) =>
+    ring.aspects.map((name, slot) => {
+        const id = rIndex * ring.aspects.length + slot;
+        const stageAssoc = id % VIS_CONFIG.STAGE_COUNT;
+        
+        // Harmonic column: the aspect in the same slot of the inner and outer ring
+        const resonanceLinks = [id - ring.aspects.length, id + ring.aspects.length]
+            .filter(target => target >= 0 && target < VIS_CONFIG.ASPECT_COUNT);
+        
+        return Object.freeze({
+            // Identity
+            id: id,
+            name: name,
+            ringIndex: rIndex,          // 0-7 (inner to outer)
+            ringName: ring.name,
+            domain: ring.domain,        // 'mind' | 'body' | 'soul'
+            
+            // Physics
+            frequency: ring.freq,        // Hz for harmonic breathing
+            hue: (id * 360 / VIS_CONFIG.ASPECT_COUNT) % 360,  // Even color distribution
+            
+            // Stage Association (circular distribution)
+            stageAssoc: stageAssoc,      // 0-11 (12-hour clock face)
+            stageName: STAGE_NAMES[stageAssoc],
+            
+            // Lifespan curve (index = stage)
+            devProfile: Object.freeze(makeDevProfile(id, stageAssoc + 1, rIndex + 1)),
+            
+            // Links
+            resonanceLinks: Object.freeze(resonanceLinks),
+            
+            // Metadata
+            description: `Resonant node for ${name} within the ${ring.name} field. This aspect oscillates at ${ring.freq} Hz and belongs to developmental ring ${rIndex + 1}.`
+        });
+    })
+));
+
+/**
+ * HARMONIC_RINGS: Ring lookup by name
+ * Each entry carries the ring definition plus the ids of its aspects.
+ */
+export const HARMONIC_RINGS = Object.freeze(Object.fromEntries(
+    RINGS.map((ring, rIndex) => [ring.name, Object.freeze({
+        index: rIndex,
+        level: ring.level,
+        name: ring.name,
+        domain: ring.domain,
+        freq: ring.freq,
+        description: ring.description,
+        aspects: Object.freeze(ASPECTS.filter(a => a.ringIndex === rIndex).map(a => a.id))
+    })])
+));
+
+/**
+ * STAGES: The 12 stage objects with their aspect membership
+ * crossStageLinks join each member to its successor in the next stage.
+ */
+export const STAGES = Object.freeze(STAGE_NAMES.map((name, sIndex) => {
+    const aspects = ASPECTS.filter(a => a.stageAssoc === sIndex).map(a => a.id);
+    const crossStageLinks = aspects
+        .filter(id => id + 1 < VIS_CONFIG.ASPECT_COUNT)
+        .map(id => Object.freeze({ from: id, to: id + 1 }));
+    
+    return Object.freeze({
+        index: sIndex,
+        name: name,
+        aspects: Object.freeze(aspects),
+        crossStageLinks: Object.freeze(crossStageLinks)
+    });
+}));
+
+/**
+ * getRing()
+ * @param {string} name - Ring name (e.g. "Intimacy")
+ * @returns {Object|null} Ring entry from HARMONIC_RINGS, or null if unknown
+ */
+export function getRing(name) {
+    return Object.prototype.hasOwnProperty.call(HARMONIC_RINGS, name) ? HARMONIC_RINGS[name] : null;
+}
+
+/**
+ * getStage()
+ * @param {string} name - Stage name (e.g. "Bonding")
+ * @returns {Object|null} Stage entry from STAGES, or null if unknown
+ */
+export function getStage(name) {
+    return STAGES.find(stage => stage.name === name) || null;
+}
@@ -0,0 +1,203 @@
+/**
+ * @module deeplink
+ * @description Shareable URL encoding for the 32-Aspect Self Clock Interactive (SCI)
+ * Encodes the persistent view (selection, lens, filters, display toggles,
+ * threshold and activations) into a compact URL hash and decodes it back
+ * into a validated snapshot. DOM-free, so scripts can generate links too.
+ *
+ * Hash format (version 1), e.g. `#v=1&m=body&a=3&r=5,6&s=7&d=101&t=15&x=…`
+ *   v  format version
+ *   m  lens (mind / body / soul)
+ *   a  selected aspect index (omitted when none)
+ *   r  ring indices 0-7, comma-separated (omitted when all rings are shown)
+ *   s  stage indices 0-11, comma-separated (omitted when all stages are shown)
+ *   q  search text (omitted when empty)
+ *   n  activation range as min-max, e.g. 20-80 (omitted for 0-100)
+ *   g  lens tag, repeated once per tag
+ *   o  sort order (omitted for clock order)
+ *   d  display toggles as bits, in DISPLAY_OPTIONS order
+ *   t  resonance threshold
+ *   x  32 activations rounded to whole numbers, one byte each, base64url
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { RINGS, STAGE_NAMES, VIS_CONFIG } from './data.js';
+import { createSnapshot, parseSnapshot, DISPLAY_OPTIONS, SCHEMA_VERSION } from './schema.js';
+import { DEFAULT_FILTER } from './filters.js';
+
+/**
+ * Current hash format version
+ */
+export const LINK_VERSION = 1;
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Array<number>} bytes - Values 0-255
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  const binary = String.fromCharCode(...bytes);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url into bytes
+ * @param {string} text - base64url text
+ * @returns {Array<number>|null} Bytes, or null when the text is not base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) return null;
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  try {
+    return Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), ch => ch.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a non-negative integer field
+ * @param {string} text - Field text
+ * @returns {number|null} Integer, or null when not a plain integer
+ */
+function parseIndex(text) {
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Parse a comma-separated list of indices into names
+ * @param {string} text - Field text, e.g. "2,5"
+ * @param {Array<string>} names - Names by index
+ * @returns {Array<string>|null} Names, or null when any index is out of range
+ */
+function parseIndexList(text, names) {
+  const list = text.split(',').map(part => names[parseIndex(part)]);
+  return list.every(Boolean) ? list : null;
+}
+
+/**
+ * Encode a snapshot as a URL hash
+ * @param {Object} snapshot - Snapshot at SCHEMA_VERSION (see createSnapshot())
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeSnapshot(snapshot) {
+  const { aspect, ring, stage } = snapshot.selection;
+  const filter = snapshot.filter
+    ? { ...DEFAULT_FILTER, ...snapshot.filter }
+    : { ...DEFAULT_FILTER, rings: ring !== null ? [ring] : [], stages: stage !== null ? [stage] : [] };
+  const params = new URLSearchParams();
+  params.set('v', String(LINK_VERSION));
+  params.set('m', snapshot.mode);
+  if (aspect !== null) params.set('a', String(aspect));
+  if (filter.rings.length) params.set('r', filter.rings.map(name => RINGS.findIndex(r => r.name === name)).join(','));
+  if (filter.stages.length) params.set('s', filter.stages.map(name => STAGE_NAMES.indexOf(name)).join(','));
+  if (filter.query) params.set('q', filter.query);
+  if (filter.minActivation > 0 || filter.maxActivation < 100) {
+    params.set('n', `${Math.round(filter.minActivation)}-${Math.round(filter.maxActivation)}`);
+  }
+  filter.tags.forEach(tag => params.append('g', tag));
+  if (filter.sort !== DEFAULT_FILTER.sort) params.set('o', filter.sort);
+  if (snapshot.display) {
+    params.set('d', DISPLAY_OPTIONS.map(option => (snapshot.display[option] ? '1' : '0')).join(''));
+  }
+  if (snapshot.resonanceThreshold !== undefined) {
+    params.set('t', String(Math.round(snapshot.resonanceThreshold)));
+  }
+  if (snapshot.activations) {
+    params.set('x', toBase64Url(snapshot.activations.map(value => Math.round(value))));
+  }
+  return `#${params.toString()}`;
+}
+
+/**
+ * Encode store state as a URL hash
+ * @param {Object} state - Store state
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeState(state) {
+  return encodeSnapshot(createSnapshot(state));
+}
+
+/**
+ * Decode a URL hash into a validated snapshot
+ * @param {string} hash - Hash with or without the leading '#'
+ * @returns {{ok: boolean, snapshot: Object|null, errors: Array<string>}}
+ */
+export function decodeHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+  const errors = [];
+
+  const version = params.get('v');
+  if (version !== String(LINK_VERSION)) {
+    return { ok: false, snapshot: null, errors: [`v: unsupported link version ${JSON.stringify(version)}`] };
+  }
+
+  const data = {
+    schemaVersion: SCHEMA_VERSION,
+    mode: params.get('m'),
+    selection: { aspect: null, ring: null, stage: null },
+    filter: { ...DEFAULT_FILTER, tags: params.getAll('g') }
+  };
+
+  if (params.has('a')) {
+    data.selection.aspect = parseIndex(params.get('a'));
+    if (data.selection.aspect === null) errors.push(`a: expected an aspect index, got ${JSON.stringify(params.get('a'))}`);
+  }
+  if (params.has('r')) {
+    const rings = parseIndexList(params.get('r'), RINGS.map(r => r.name));
+    if (rings) data.filter.rings = rings;
+    else errors.push(`r: expected ring indices 0-${RINGS.length - 1}, got ${JSON.stringify(params.get('r'))}`);
+  }
+  if (params.has('s')) {
+    const stages = parseIndexList(params.get('s'), STAGE_NAMES);
+    if (stages) data.filter.stages = stages;
+    else errors.push(`s: expected stage indices 0-${STAGE_NAMES.length - 1}, got ${JSON.stringify(params.get('s'))}`);
+  }
+  // The single ring / stage selection mirrors the filter, as in the store
+  if (data.filter.rings.length === 1) data.selection.ring = data.filter.rings[0];
+  if (data.filter.stages.length === 1) data.selection.stage = data.filter.stages[0];
+  if (params.has('q')) data.filter.query = params.get('q');
+  if (params.has('n')) {
+    const range = /^(\d+)-(\d+)$/.exec(params.get('n'));
+    if (range) {
+      data.filter.minActivation = Number(range[1]);
+      data.filter.maxActivation = Number(range[2]);
+    } else {
+      errors.push(`n: expected an activation range like 20-80, got ${JSON.stringify(params.get('n'))}`);
+    }
+  }
+  if (params.has('o')) data.filter.sort = params.get('o');
+  if (params.has('d')) {
+    const bits = params.get('d');
+    if (new RegExp(`^[01]{${DISPLAY_OPTIONS.length}}$`).test(bits)) {
+      data.display = Object.fromEntries(DISPLAY_OPTIONS.map((option, i) => [option, bits[i] === '1']));
+    } else {
+      errors.push(`d: expected ${DISPLAY_OPTIONS.length} display bits, got ${JSON.stringify(bits)}`);
+    }
+  }
+  if (params.has('t')) {
+    data.resonanceThreshold = parseIndex(params.get('t'));
+    if (data.resonanceThreshold === null) errors.push(`t: expected a whole-number threshold, got ${JSON.stringify(params.get('t'))}`);
+  }
+  if (params.has('x')) {
+    const bytes = fromBase64Url(params.get('x'));
+    if (bytes && bytes.length === VIS_CONFIG.ASPECT_COUNT) data.activations = bytes;
+    else errors.push(`x: expected ${VIS_CONFIG.ASPECT_COUNT} base64url-encoded activations`);
+  }
+
+  if (errors.length) return { ok: false, snapshot: null, errors };
+  return parseSnapshot(data);
+}
+
+/**
+ * Build a full shareable URL for a state
+ * @param {Object} state - Store state
+ * @param {string} baseURL - Page URL (any existing hash is replaced)
+ * @returns {string}
+ */
+export function buildShareURL(state, baseURL) {
+  return baseURL.replace(/#.*$/, '') + encodeState(state);
+}
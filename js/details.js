@@ -0,0 +1,72 @@
+/**
+ * @module details
+ * @description Aspect detail model for the 32-Aspect Self Clock Interactive (SCI)
+ * Collects what the detail panel shows for one aspect: its placement on the
+ * clock, the active lens's metadata and the aspects related to it through
+ * the ontology's links, grouped so the panel can offer them as jump targets.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, HARMONIC_RINGS, STAGES } from './data.js';
+import { LENSES, getLensAspects } from './lenses.js';
+
+/**
+ * Related aspects of one aspect, grouped by relation
+ * - Harmonic column: same slot in the inner / outer ring (resonance links)
+ * - Developmental path: cross-stage links into and out of this aspect
+ * - Same ring / same stage: the aspect's other ring and stage members
+ * Empty groups are left out.
+ * @param {number} index - Aspect index (0-31)
+ * @returns {Array<{relation: string, ids: Array<number>}>}
+ */
+export function relatedAspects(index) {
+  const aspect = ASPECTS[index];
+  const others = (ids) => ids.filter(id => id !== index);
+  const path = STAGES.flatMap(stage => stage.crossStageLinks)
+    .filter(link => link.from === index || link.to === index)
+    .map(link => (link.from === index ? link.to : link.from));
+
+  return [
+    { relation: 'Harmonic column', ids: [...aspect.resonanceLinks] },
+    { relation: 'Developmental path', ids: path.sort((a, b) => a - b) },
+    { relation: `${aspect.ringName} ring`, ids: others(HARMONIC_RINGS[aspect.ringName].aspects) },
+    { relation: `${aspect.stageName} stage`, ids: others(STAGES[aspect.stageAssoc].aspects) }
+  ].filter(group => group.ids.length);
+}
+
+/**
+ * Everything the detail panel shows for one aspect under the current lens
+ * @param {Object} state - Store state
+ * @param {number} index - Aspect index (0-31)
+ * @returns {Object|null} {id, label, name, lens, placement, description, activation,
+ *   tags, meta, related}, or null for an invalid index. related groups carry
+ *   {relation, aspects: [{id, label}]} with lens labels.
+ */
+export function describeAspect(state, index) {
+  const aspect = ASPECTS[index];
+  if (!aspect) {
+    console.warn(`Invalid aspect index: ${index}`);
+    return null;
+  }
+  const views = getLensAspects(state.mode);
+  const view = views[index];
+
+  return {
+    id: index,
+    label: view.label,
+    name: aspect.name,
+    lens: (LENSES[state.mode] || LENSES.mind).label,
+    placement: `${aspect.ringName} ring · ${aspect.frequency} Hz · Stage ${aspect.stageAssoc + 1} ${aspect.stageName}`,
+    description: aspect.description,
+    activation: Math.round(state.aspects[index].targetValue),
+    tags: view.tags,
+    meta: view.meta,
+    related: relatedAspects(index).map(({ relation, ids }) => ({
+      relation,
+      aspects: ids.map(id => ({ id, label: views[id].label }))
+    }))
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * @module development
+ * @description Developmental profiles and stage comparison for the 32-Aspect Self Clock Interactive (SCI)
+ * Each aspect follows a 12-point lifespan curve (ASPECTS[i].devProfile, built
+ * by makeDevProfile() in data.js). Positions between stages are interpolated
+ * so the clock can morph continuously across the lifespan, per-stage emphasis
+ * multipliers weight the phases that matter now, and comparing two stages
+ * yields the per-aspect change in activation between them.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, STAGE_NAMES, getStage } from './data.js';
+
+/**
+ * Number of points in a developmental profile (one per stage)
+ */
+export const DEV_STAGES = STAGE_NAMES.length;
+
+/**
+ * Canonical profile of every aspect, indexed by aspect id
+ */
+export const DEV_PROFILES = Object.freeze(ASPECTS.map(aspect => aspect.devProfile));
+
+/**
+ * Stage emphasis multiplier bounds (matching the monolith's slider)
+ */
+export const MIN_STAGE_WEIGHT = 0.5;
+export const MAX_STAGE_WEIGHT = 1.8;
+
+/**
+ * Neutral emphasis: every stage weighted 1×
+ */
+export const DEFAULT_STAGE_WEIGHTS = Object.freeze(STAGE_NAMES.map(() => 1));
+
+/**
+ * Value of a profile at a fractional stage position
+ * Position 2.5 is halfway between the third and fourth stages.
+ * @param {Array<number>} profile - 12-point developmental profile
+ * @param {number} position - Stage position (0 to 11)
+ * @returns {number}
+ */
+export function interpolateProfile(profile, position) {
+  const clamped = Math.min(profile.length - 1, Math.max(0, position));
+  const lower = Math.floor(clamped);
+  const upper = Math.min(profile.length - 1, lower + 1);
+  return profile[lower] + (profile[upper] - profile[lower]) * (clamped - lower);
+}
+
+/**
+ * Activations of all 32 aspects at a point in the lifespan
+ * Each aspect is scaled by the emphasis weight of its own nominal stage,
+ * as in the monolith's Stage Emphasis panel, and clamped to 0-100.
+ * @param {number} position - Stage position (0 to 11, fractional between stages)
+ * @param {Array<number>} weights - 12 stage emphasis multipliers
+ * @returns {Array<number>} 32 activations
+ */
+export function developmentalActivations(position, weights = DEFAULT_STAGE_WEIGHTS) {
+  return ASPECTS.map(aspect => {
+    const weight = weights[aspect.stageAssoc] ?? 1;
+    return Math.max(0, Math.min(100, interpolateProfile(aspect.devProfile, position) * weight));
+  });
+}
+
+/**
+ * Activations of all 32 aspects at one stage
+ * @param {string} stageName - Stage name (e.g. "Bonding")
+ * @returns {Array<number>|null} 32 activations, or null for an unknown stage
+ */
+export function stageActivations(stageName) {
+  const stage = getStage(stageName);
+  if (!stage) {
+    console.warn(`Invalid stage name: ${stageName}`);
+    return null;
+  }
+  return DEV_PROFILES.map(profile => profile[stage.index]);
+}
+
+/**
+ * Compare two stages aspect by aspect
+ * @param {string} stageA - Stage compared from
+ * @param {string} stageB - Stage compared to
+ * @returns {Object|null} {stageA, stageB, deltas, ranked, increases, decreases}, or
+ *   null if either stage is unknown. deltas is indexed by aspect
+ *   ({id, name, from, to, delta}); ranked orders them by size of change;
+ *   increases / decreases list rising and falling aspects, largest first.
+ */
+export function compareStages(stageA, stageB) {
+  const from = stageActivations(stageA);
+  const to = stageActivations(stageB);
+  if (!from || !to) return null;
+
+  const deltas = ASPECTS.map((aspect, i) => ({
+    id: aspect.id,
+    name: aspect.name,
+    from: from[i],
+    to: to[i],
+    delta: to[i] - from[i]
+  }));
+  const ranked = deltas.slice().sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.id - b.id);
+
+  return {
+    stageA,
+    stageB,
+    deltas,
+    ranked,
+    increases: ranked.filter(item => item.delta > 0),
+    decreases: ranked.filter(item => item.delta < 0)
+  };
+}
@@ -0,0 +1,393 @@
+/**
+ * @module echo
+ * @description Echo / Mirror analysis provider for the 32-Aspect Self Clock Interactive (SCI)
+ * Turns a piece of text (a feeling, situation or thought) into a reflection,
+ * 32 activations and a dominant lens. Backends are interchangeable:
+ *
+ *   stub    local and deterministic (same text, same result); no network
+ *   http    POSTs {text, aspects} to an endpoint configured by URL
+ *   replay  answers from recorded fixtures ({input, response} pairs)
+ *
+ * Every response is validated before it is used. The provider adds a
+ * timeout, cancellation (a new request cancels the previous one) and a
+ * fallback backend for when the primary fails.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, VIS_CONFIG } from './data.js';
+import { LENSES } from './lenses.js';
+
+/**
+ * Default request timeout (milliseconds)
+ */
+export const ECHO_TIMEOUT_MS = 15000;
+
+/**
+ * Validate an analysis response
+ * Expects {reflection, activations, dominant_lens}: a non-empty reflection,
+ * exactly 32 numbers from 0 to 100 and a known lens. Nothing is clamped or
+ * filled in; other fields are ignored.
+ * @param {string|Object} input - Response JSON text or parsed object
+ * @returns {{ok: boolean, result: Object|null, errors: Array<string>}}
+ *   result: {reflection, activations, dominantLens}
+ */
+export function validateEchoResponse(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { ok: false, result: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, result: null, errors: ['Expected a response object'] };
+  }
+
+  const errors = [];
+  const { reflection, activations, dominant_lens: lens } = data;
+  if (typeof reflection !== 'string' || !reflection.trim()) {
+    errors.push(`reflection: expected a non-empty string, got ${JSON.stringify(reflection)}`);
+  }
+  if (!Array.isArray(activations) || activations.length !== VIS_CONFIG.ASPECT_COUNT) {
+    errors.push(`activations: expected an array of ${VIS_CONFIG.ASPECT_COUNT} numbers`);
+  } else {
+    activations.forEach((value, i) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+        errors.push(`activations[${i}]: expected a number from 0 to 100, got ${JSON.stringify(value)}`);
+      }
+    });
+  }
+  if (!Object.prototype.hasOwnProperty.call(LENSES, lens)) {
+    errors.push(`dominant_lens: expected one of ${Object.keys(LENSES).join(', ')}, got ${JSON.stringify(lens)}`);
+  }
+
+  return errors.length
+    ? { ok: false, result: null, errors }
+    : { ok: true, result: { reflection: reflection.trim(), activations: activations.slice(), dominantLens: lens }, errors: [] };
+}
+
+/**
+ * Wait, unless the signal aborts first
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Signal for one request: aborts with the caller's signal or after a timeout
+ * Combined with AbortSignal.any where available; browsers without it (Safari
+ * before 17.4) get one controller that both the caller and the timer abort.
+ * @param {AbortSignal} parent - Caller's signal
+ * @param {number} timeoutMs - Timeout (milliseconds)
+ * @returns {{signal: AbortSignal, release: Function}} release() clears the
+ *   timer and listeners once the request has finished
+ */
+function requestSignal(parent, timeoutMs) {
+  const timeout = new AbortController();
+  const timer = setTimeout(() => timeout.abort(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+  if (typeof AbortSignal.any === 'function') {
+    return { signal: AbortSignal.any([parent, timeout.signal]), release: () => clearTimeout(timer) };
+  }
+
+  const forward = () => timeout.abort(parent.reason);
+  if (parent.aborted) forward();
+  else parent.addEventListener('abort', forward, { once: true });
+  return {
+    signal: timeout.signal,
+    release: () => {
+      clearTimeout(timer);
+      parent.removeEventListener('abort', forward);
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Reflections used by the stub, one per lens
+ */
+const STUB_REFLECTIONS = {
+  mind: 'The Mirror sees a mind turning the pattern over, seeking the thread that makes it whole.',
+  body: 'The Mirror sees the body holding what words have not yet reached.',
+  soul: 'The Mirror sees a longing to integrate fragmented experience into something larger.'
+};
+
+/**
+ * Local stub backend
+ * Derives a stable response from a hash of the text, so demos and tests
+ * are repeatable without a network.
+ * @param {Object} options
+ * @param {number} [options.delayMs=0] - Simulated latency
+ * @returns {Object} Backend {name, analyze(text, {signal})}
+ */
+export function createStubBackend({ delayMs = 0 } = {}) {
+  return {
+    name: 'stub',
+    async analyze(text, { signal } = {}) {
+      if (delayMs) await delay(delayMs, signal);
+      let seed = hashText(String(text).trim().toLowerCase()) || 1;
+      const next = () => {
+        // xorshift32
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return (seed >>> 0) / 0x100000000;
+      };
+      const lenses = Object.keys(LENSES);
+      const lens = lenses[Math.floor(next() * lenses.length)];
+      return {
+        reflection: STUB_REFLECTIONS[lens],
+        activations: ASPECTS.map(() => Math.floor(next() * 80) + 10),
+        dominant_lens: lens
+      };
+    }
+  };
+}
+
+/**
+ * HTTP backend
+ * POSTs {text, aspects} as JSON (aspects: the 32 names in clock order, so
+ * the service can map its output) and expects the response object back.
+ * @param {Object} options
+ * @param {string} options.url - Endpoint URL
+ * @param {Object} [options.headers] - Extra request headers (e.g. authorization)
+ * @param {Function} [options.parseResponse] - (json) => response object, for
+ *   services that wrap the result in an envelope
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Object|null} Backend, or null without a usable URL
+ */
+export function createHttpBackend({
+  url,
+  headers = {},
+  parseResponse = (json) => json,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  if (typeof url !== 'string' || !url) {
+    console.warn('Echo HTTP backend needs an endpoint URL');
+    return null;
+  }
+  return {
+    name: 'http',
+    async analyze(text, { signal } = {}) {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ text, aspects: ASPECTS.map(aspect => aspect.name) }),
+        signal
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+      return parseResponse(await response.json());
+    }
+  };
+}
+
+/**
+ * Normalized fixture key: trimmed, lower case, single spaces
+ */
+function fixtureKey(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Recorded-fixture replay backend
+ * Answers with the recorded response for the same input (compared without
+ * case or extra whitespace). Unknown inputs fail, so a fallback can take over.
+ * @param {Array<{input: string, response: Object}>} fixtures - Recorded pairs
+ * @param {Object} options
+ * @param {number} [options.delayMs=0] - Simulated latency
+ * @returns {Object} Backend
+ */
+export function createReplayBackend(fixtures, { delayMs = 0 } = {}) {
+  const recorded = new Map((fixtures || []).map(({ input, response }) => [fixtureKey(input), response]));
+  return {
+    name: 'replay',
+    async analyze(text, { signal } = {}) {
+      if (delayMs) await delay(delayMs, signal);
+      const key = fixtureKey(text);
+      if (!recorded.has(key)) throw new Error(`No recorded response for "${key}"`);
+      return recorded.get(key);
+    }
+  };
+}
+
+/**
+ * Wrap a backend so every successful response is recorded as a fixture
+ * (for later replay with createReplayBackend)
+ * @param {Object} backend - Backend to record
+ * @param {Array<Object>} fixtures - Array that receives {input, response} pairs
+ * @returns {Object} Backend
+ */
+export function recordingBackend(backend, fixtures) {
+  return {
+    name: `${backend.name}+record`,
+    async analyze(text, options) {
+      const response = await backend.analyze(text, options);
+      fixtures.push({ input: text, response });
+      return response;
+    }
+  };
+}
+
+/**
+ * Create an analysis provider
+ * @param {Object} options
+ * @param {Object} [options.backend] - Primary backend (defaults to the stub)
+ * @param {Object|null} [options.fallback] - Used when the primary fails or
+ *   returns an invalid response (defaults to the stub; null disables)
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @returns {Object} Provider API: analyze, cancel, setBackend, getBackend, isPending
+ */
+export function createEchoProvider({
+  backend = createStubBackend(),
+  fallback = createStubBackend(),
+  timeoutMs = ECHO_TIMEOUT_MS
+} = {}) {
+  let primary = backend;
+  let pending = null;     // AbortController of the request in flight
+
+  /**
+   * Run one backend under the shared signal plus its own timeout
+   * @returns {Promise<{ok, result, errors, cancelled}>}
+   */
+  async function attempt(source, text, controller) {
+    let request = null;
+    try {
+      request = requestSignal(controller.signal, timeoutMs);
+      const { signal } = request;
+      const raw = await Promise.race([
+        source.analyze(text, { signal }),
+        // Backends that ignore the signal still lose the race
+        new Promise((_, reject) => {
+          if (signal.aborted) reject(signal.reason);
+          signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        })
+      ]);
+      const { ok, result, errors } = validateEchoResponse(raw);
+      return { ok, result, errors: errors.map(error => `${source.name}: ${error}`), cancelled: false };
+    } catch (error) {
+      if (controller.signal.aborted) return { ok: false, result: null, errors: ['Cancelled'], cancelled: true };
+      return { ok: false, result: null, errors: [`${source.name}: ${error && error.message ? error.message : error}`], cancelled: false };
+    } finally {
+      if (request) request.release();
+    }
+  }
+
+  /**
+   * Cancel the request in flight, if any
+   * @returns {boolean} True if a request was cancelled
+   */
+  function cancel() {
+    if (!pending) return false;
+    pending.abort(new Error('Cancelled'));
+    pending = null;
+    return true;
+  }
+
+  return {
+    cancel,
+
+    /**
+     * Analyze text (cancels any request still in flight)
+     * @param {string} text - Text to reflect
+     * @returns {Promise<Object>} {ok, result, source, fallback, cancelled, errors}
+     *   source names the backend that answered; fallback is true when the
+     *   primary failed (its errors are kept in errors)
+     */
+    async analyze(text) {
+      if (typeof text !== 'string' || !text.trim()) {
+        console.warn('Echo analysis needs some text');
+        return { ok: false, result: null, source: null, fallback: false, cancelled: false, errors: ['Empty text'] };
+      }
+      cancel();
+      const controller = new AbortController();
+      pending = controller;
+
+      try {
+        const first = await attempt(primary, text, controller);
+        if (first.ok || first.cancelled || !fallback || fallback === primary) {
+          return { ...first, source: primary.name, fallback: false };
+        }
+        console.warn('Echo backend failed, using fallback:', first.errors);
+        const second = await attempt(fallback, text, controller);
+        return {
+          ...second,
+          errors: [...first.errors, ...second.errors],
+          source: fallback.name,
+          fallback: true
+        };
+      } finally {
+        if (pending === controller) pending = null;
+      }
+    },
+
+    /**
+     * Swap the primary backend
+     * @param {Object} next - Backend
+     */
+    setBackend(next) {
+      if (!next || typeof next.analyze !== 'function') {
+        console.warn('Invalid echo backend');
+        return;
+      }
+      primary = next;
+    },
+
+    /**
+     * @returns {string} Name of the primary backend
+     */
+    getBackend() {
+      return primary.name;
+    },
+
+    /**
+     * @returns {boolean} Whether a request is in flight
+     */
+    isPending() {
+      return pending !== null;
+    }
+  };
+}
+
+/**
+ * Results applied so far; keys each one's history entry
+ */
+let appliedCount = 0;
+
+/**
+ * Apply a validated result to a store: lens first, then one batch update,
+ * recorded as a single history entry (one undo reverts both)
+ * @param {Object} store - Store API: getState, setMode, updateBatchValues
+ * @param {Object} result - result from validateEchoResponse() / analyze()
+ */
+export function applyEchoResult(store, result) {
+  // Unique per result, so quick successive reflections stay separate steps
+  const coalesceKey = `echo:${++appliedCount}`;
+  if (store.getState().mode !== result.dominantLens) store.setMode(result.dominantLens, { coalesceKey });
+  store.updateBatchValues(result.activations, { label: 'Echo reflection', coalesceKey });
+}
@@ -0,0 +1,247 @@
+/**
+ * @module exporters
+ * @description Full-profile exports for the 32-Aspect Self Clock Interactive (SCI)
+ * Builds JSON, CSV and a self-contained printable HTML report from store state.
+ * Pure string builders: downloading is left to the caller.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, HARMONIC_RINGS, VIS_CONFIG } from './data.js';
+import { LENSES, getLensAspects } from './lenses.js';
+import { createSnapshot } from './schema.js';
+import { computeMetrics, activationsFromState } from './metrics.js';
+
+/**
+ * CSV column order
+ */
+const CSV_COLUMNS = [
+  'id', 'name', 'lens_label', 'ring', 'ring_level', 'stage_index', 'stage',
+  'domain', 'frequency_hz', 'activation'
+];
+
+/**
+ * Round to two decimals for stable, readable output
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build one row per aspect with ring, stage, frequency and activation
+ * @param {Object} state - Store state
+ * @returns {Array<Object>} 32 profile rows
+ */
+export function buildProfileRows(state) {
+  const lensAspects = getLensAspects(state.mode);
+  return ASPECTS.map((aspect, i) => ({
+    id: aspect.id,
+    name: aspect.name,
+    lens_label: lensAspects[i].label,
+    ring: aspect.ringName,
+    ring_level: HARMONIC_RINGS[aspect.ringName].level,
+    stage_index: aspect.stageAssoc + 1,
+    stage: aspect.stageName,
+    domain: aspect.domain,
+    frequency_hz: aspect.frequency,
+    activation: round2(state.aspects[i].targetValue)
+  }));
+}
+
+/**
+ * Summary metrics over the 32 target activations (rounded for output)
+ * Resonance uses the state's threshold, which the summary records.
+ * @param {Object} state - Store state
+ * @returns {Object} {mean, std, sci, resonance, energyMatter, active, peak}
+ */
+function summarizeActivations(state) {
+  const values = activationsFromState(state);
+  const threshold = state.resonanceThreshold ?? VIS_CONFIG.RESONANCE_THRESHOLD;
+  const { sci, resonance, energyMatter } = computeMetrics(values, { threshold });
+  const peakIndex = values.indexOf(Math.max(...values));
+  return {
+    mean: round2(sci.mean),
+    std: round2(sci.std),
+    sci: round2(sci.sci),
+    resonance: {
+      threshold: threshold,
+      ratio: round2(resonance.ratio),
+      stageRatio: round2(resonance.stageRatio),
+      ringRatio: round2(resonance.ringRatio),
+      activationRatio: round2(resonance.activationRatio)
+    },
+    energyMatter: {
+      total: round2(energyMatter.total),
+      metabolic: round2(energyMatter.metabolic),
+      byNT: Object.fromEntries(Object.entries(energyMatter.byNT).map(([nt, total]) => [nt, round2(total)]))
+    },
+    active: values.filter(v => v > 0).length,
+    peak: { id: peakIndex, name: ASPECTS[peakIndex].name, activation: round2(values[peakIndex]) }
+  };
+}
+
+/**
+ * Full JSON export: the importable snapshot plus metrics and every aspect row
+ * @param {Object} state - Store state
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJSON(state) {
+  return JSON.stringify({
+    ...createSnapshot(state),
+    metrics: summarizeActivations(state),
+    aspects: buildProfileRows(state)
+  }, null, 2);
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Full 32-row CSV export
+ * @param {Object} state - Store state
+ * @returns {string} CSV text with a header row
+ */
+export function toCSV(state) {
+  const rows = buildProfileRows(state).map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for inclusion in HTML
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained printable HTML report
+ * @param {Object} state - Store state
+ * @param {Object} options
+ * @param {string} [options.svgMarkup] - Serialized clock image to embed
+ * @returns {string} Complete HTML document
+ */
+export function toReportHTML(state, { svgMarkup = '' } = {}) {
+  const metrics = summarizeActivations(state);
+  const rows = buildProfileRows(state);
+  const generatedAt = new Date().toISOString();
+  const lens = LENSES[state.mode] || LENSES.mind;
+
+  const tableRows = rows.map(row => `
+        <tr>
+          <td>${row.id + 1}</td>
+          <td>${escapeHTML(row.name)}</td>
+          <td>${escapeHTML(row.ring)} (${row.ring_level})</td>
+          <td>${row.stage_index} · ${escapeHTML(row.stage)}</td>
+          <td>${row.frequency_hz}</td>
+          <td class="num">${row.activation}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Self Clock Briefing · ${escapeHTML(generatedAt)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1a1a2e; margin: 2rem; }
+    h1 { margin-bottom: 0.2rem; }
+    .meta { color: #555; margin-top: 0; }
+    .clock { text-align: center; margin: 1.5rem 0; }
+    .clock svg { max-width: 100%; height: auto; background: #0f1e39; border-radius: 10px; }
+    .metrics { display: flex; gap: 1.5rem; flex-wrap: wrap; margin: 1rem 0; }
+    .metric { border: 1px solid #ccd; border-radius: 8px; padding: 0.6rem 1rem; }
+    .metric strong { display: block; font-size: 1.4rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #dde; padding: 0.3rem 0.5rem; text-align: left; }
+    td.num { text-align: right; }
+    .notes { font-size: 0.9rem; color: #333; }
+    @media print {
+      body { margin: 1cm; }
+      .clock { page-break-after: always; }
+      tr { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>32-Aspect Self Clock · Briefing</h1>
+  <p class="meta">Generated ${escapeHTML(generatedAt)} · ${escapeHTML(lens.label)} lens · Adrian Lei Martinez-Conol · Only When Prompted Research Initiative</p>
+
+  <div class="clock">${svgMarkup}</div>
+
+  <section class="metrics">
+    <div class="metric">SCI<strong>${metrics.sci}</strong></div>
+    <div class="metric">Mean activation (μ)<strong>${metrics.mean}</strong></div>
+    <div class="metric">Spread (σ)<strong>${metrics.std}</strong></div>
+    <div class="metric">Active aspects<strong>${metrics.active}/${rows.length}</strong></div>
+    <div class="metric">Peak<strong>${escapeHTML(metrics.peak.name)} (${metrics.peak.activation})</strong></div>
+    <div class="metric">Resonance coverage<strong>${Math.round(metrics.resonance.ratio * 100)}%</strong></div>
+    <div class="metric">Metabolic load<strong>${Math.round(metrics.energyMatter.metabolic * 100)}%</strong></div>
+  </section>
+  <p class="notes">Resonance split: stage ${Math.round(metrics.resonance.stageRatio * 100)}% ·
+    ring ${Math.round(metrics.resonance.ringRatio * 100)}% ·
+    activation ${Math.round(metrics.resonance.activationRatio * 100)}%.
+    Neurotransmitter totals: ${Object.entries(metrics.energyMatter.byNT).map(([nt, total]) => `${escapeHTML(nt)} ${total}`).join(' · ')}.</p>
+
+  <table>
+    <thead>
+      <tr><th>#</th><th>Aspect</th><th>Ring</th><th>Stage</th><th>Hz</th><th>Activation</th></tr>
+    </thead>
+    <tbody>${tableRows}
+    </tbody>
+  </table>
+
+  <section class="notes">
+    <h2>Formula notes</h2>
+    <p><strong>Semantic Coherence Index:</strong> SCI = μ / (1 + σ) × 100, where μ is the mean and σ the
+    population standard deviation of the 32 activations (0–100). High SCI needs both strong and even activation.</p>
+    <p><strong>Resonance coverage:</strong> share of the 496 aspect pairs that share a stage, share a ring,
+    or whose activations differ by no more than the resonance threshold (${metrics.resonance.threshold} in this report).</p>
+    <p><strong>Energy–Matter:</strong> ΣE is the sum of activations; metabolic load is ΣE / (32 × 100);
+    neurotransmitter totals sum activation by each aspect's dominant transmitter.</p>
+    <p><strong>Harmonic frequency:</strong> each ring breathes at its own rate, from 0.5 Hz (Imprinting) to 6.8 Hz (Transcendence).</p>
+  </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json', build: toJSON },
+  csv: { extension: 'csv', mimeType: 'text/csv', build: toCSV },
+  report: { extension: 'html', mimeType: 'text/html', build: toReportHTML }
+};
+
+/**
+ * Build an export file for a format
+ * @param {string} format - 'json', 'csv' or 'report'
+ * @param {Object} state - Store state
+ * @param {Object} options - Format options (e.g. svgMarkup for the report)
+ * @returns {{content: string, filename: string, mimeType: string}|null} File, or null for unknown formats
+ */
+export function buildExport(format, state, options = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    console.warn(`Invalid export format: ${format}`);
+    return null;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  const name = format === 'report' ? 'self-clock-report' : 'self-clock-profile';
+  return {
+    content: spec.build(state, options),
+    filename: `${name}-${stamp}.${spec.extension}`,
+    mimeType: spec.mimeType
+  };
+}
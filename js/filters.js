@@ -0,0 +1,248 @@
+/**
+ * @module filters
+ * @description Search, filter and sort model for the 32-Aspect Self Clock Interactive (SCI)
+ * One filter drives both the clock (non-matching nodes are dimmed) and the
+ * aspect list (matching aspects in sort order). The parts compose: an aspect
+ * matches when it passes every part that is set.
+ *
+ *   query          free text; every word must appear in the aspect's name,
+ *                  lens label, ring, stage, faculty, definition or tags
+ *   rings          ring names (any of them)
+ *   stages         stage names (any of them)
+ *   minActivation  \
+ *   maxActivation  / inclusive target activation range (0-100)
+ *   tags           lens tags (any of them, matched under the current lens)
+ *   sort           list order (see SORT_ORDERS)
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, getRing, getStage } from './data.js';
+import { LENSES, getLensAspects } from './lenses.js';
+
+/**
+ * List orders, with the label used in the summary and the sort menu
+ */
+export const SORT_ORDERS = Object.freeze({
+  clock: 'Clock order',
+  name: 'Name',
+  activationDesc: 'Activation (high to low)',
+  activationAsc: 'Activation (low to high)',
+  ring: 'Ring',
+  stage: 'Stage'
+});
+
+/**
+ * A filter that matches every aspect, in clock order
+ */
+export const DEFAULT_FILTER = Object.freeze({
+  query: '',
+  rings: Object.freeze([]),
+  stages: Object.freeze([]),
+  minActivation: 0,
+  maxActivation: 100,
+  tags: Object.freeze([]),
+  sort: 'clock'
+});
+
+/**
+ * Validate a (partial) filter
+ * @param {Object} filter - Filter fields to check
+ * @param {string|null} mode - Lens whose tags are allowed (null: any tag)
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+export function validateFilter(filter, mode = null) {
+  const errors = [];
+  const { query, rings, stages, minActivation, maxActivation, tags, sort } = filter;
+  const isRange = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (query !== undefined && typeof query !== 'string') errors.push(`query: expected a string, got ${JSON.stringify(query)}`);
+  if (rings !== undefined) {
+    if (!Array.isArray(rings)) errors.push('rings: expected an array of ring names');
+    else rings.filter(name => !getRing(name)).forEach(name => errors.push(`rings: unknown ring ${JSON.stringify(name)}`));
+  }
+  if (stages !== undefined) {
+    if (!Array.isArray(stages)) errors.push('stages: expected an array of stage names');
+    else stages.filter(name => !getStage(name)).forEach(name => errors.push(`stages: unknown stage ${JSON.stringify(name)}`));
+  }
+  if (minActivation !== undefined && !isRange(minActivation)) errors.push(`minActivation: expected 0-100, got ${JSON.stringify(minActivation)}`);
+  if (maxActivation !== undefined && !isRange(maxActivation)) errors.push(`maxActivation: expected 0-100, got ${JSON.stringify(maxActivation)}`);
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('tags: expected an array of strings');
+  } else if (tags !== undefined && mode) {
+    const known = availableTags(mode).map(tag => tag.toLowerCase());
+    tags.filter(tag => !known.includes(tag.toLowerCase()))
+      .forEach(tag => errors.push(`tags: ${JSON.stringify(tag)} is not a ${LENSES[mode].label} lens tag`));
+  }
+  if (sort !== undefined && !Object.prototype.hasOwnProperty.call(SORT_ORDERS, sort)) {
+    errors.push(`sort: expected one of ${Object.keys(SORT_ORDERS).join(', ')}, got ${JSON.stringify(sort)}`);
+  }
+  return errors;
+}
+
+/**
+ * Whether a filter narrows the aspect set (sort order alone does not)
+ * @param {Object} filter - Filter
+ * @returns {boolean}
+ */
+export function isFilterActive(filter) {
+  return filter.query.trim() !== ''
+    || filter.rings.length > 0
+    || filter.stages.length > 0
+    || filter.minActivation > 0
+    || filter.maxActivation < 100
+    || filter.tags.length > 0;
+}
+
+/**
+ * The filter a state is using
+ * States without a filter (older headless states) fall back to their
+ * single ring / stage selection.
+ * @param {Object} state - Store state
+ * @returns {Object} Filter
+ */
+export function filterOf(state) {
+  if (state.filter) return state.filter;
+  return {
+    ...DEFAULT_FILTER,
+    rings: state.currentRing ? [state.currentRing] : [],
+    stages: state.currentStage ? [state.currentStage] : []
+  };
+}
+
+/**
+ * Searchable text of every aspect under each lens (lower case)
+ */
+const SEARCH_TEXT = new Map();
+
+function searchText(mode, index) {
+  const key = `${mode}:${index}`;
+  if (!SEARCH_TEXT.has(key)) {
+    const aspect = ASPECTS[index];
+    const view = getLensAspects(mode)[index];
+    SEARCH_TEXT.set(key, [
+      aspect.name, view.label, aspect.ringName, aspect.stageName,
+      view.faculty, view.definition, ...view.tags
+    ].join(' ').toLowerCase());
+  }
+  return SEARCH_TEXT.get(key);
+}
+
+/**
+ * Whether one aspect passes a filter
+ * @param {Object} state - Store state (lens and target activations)
+ * @param {Object} filter - Filter
+ * @param {number} index - Aspect index (0-31)
+ * @returns {boolean}
+ */
+export function matchesFilter(state, filter, index) {
+  const aspect = ASPECTS[index];
+  const activation = state.aspects[index].targetValue;
+  if (filter.rings.length && !filter.rings.includes(aspect.ringName)) return false;
+  if (filter.stages.length && !filter.stages.includes(aspect.stageName)) return false;
+  if (activation < filter.minActivation || activation > filter.maxActivation) return false;
+
+  if (filter.tags.length) {
+    const tags = getLensAspects(state.mode)[index].tags.map(tag => tag.toLowerCase());
+    if (!filter.tags.some(tag => tags.includes(tag.toLowerCase()))) return false;
+  }
+
+  const words = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = words.length ? searchText(state.mode, index) : '';
+  return words.every(word => text.includes(word));
+}
+
+/**
+ * Comparators for each sort order (ties fall back to clock order)
+ */
+const COMPARATORS = {
+  clock: () => 0,
+  name: (state, a, b) => getLensAspects(state.mode)[a].label.localeCompare(getLensAspects(state.mode)[b].label),
+  activationDesc: (state, a, b) => state.aspects[b].targetValue - state.aspects[a].targetValue,
+  activationAsc: (state, a, b) => state.aspects[a].targetValue - state.aspects[b].targetValue,
+  ring: (state, a, b) => ASPECTS[a].ringIndex - ASPECTS[b].ringIndex,
+  stage: (state, a, b) => ASPECTS[a].stageAssoc - ASPECTS[b].stageAssoc
+};
+
+/**
+ * Ids of the aspects passing the state's filter (clock order)
+ * @param {Object} state - Store state
+ * @returns {Array<number>}
+ */
+export function selectMatchingIds(state) {
+  const filter = filterOf(state);
+  return ASPECTS.map(aspect => aspect.id).filter(id => matchesFilter(state, filter, id));
+}
+
+/**
+ * The aspect list: matching aspects in the filter's sort order
+ * @param {Object} state - Store state
+ * @returns {Array<Object>} Items {id, label, ringName, stageName, activation}
+ */
+export function selectAspectList(state) {
+  const filter = filterOf(state);
+  const compare = COMPARATORS[filter.sort] || COMPARATORS.clock;
+  const views = getLensAspects(state.mode);
+  return selectMatchingIds(state)
+    .sort((a, b) => compare(state, a, b) || a - b)
+    .map(id => ({
+      id,
+      label: views[id].label,
+      ringName: ASPECTS[id].ringName,
+      stageName: ASPECTS[id].stageName,
+      activation: Math.round(state.aspects[id].targetValue)
+    }));
+}
+
+/**
+ * Lens tags available for filtering under a lens (first-seen order)
+ * @param {string} mode - Lens id
+ * @returns {Array<string>}
+ */
+export function availableTags(mode) {
+  return [...new Set(getLensAspects(mode).flatMap(view => view.tags))];
+}
+
+/**
+ * The tags of a list that exist under a lens (tags are lens-specific, so a
+ * lens switch drops the others)
+ * @param {Array<string>} tags - Tags
+ * @param {string} mode - Lens id
+ * @returns {Array<string>}
+ */
+export function keepLensTags(tags, mode) {
+  const known = availableTags(mode).map(tag => tag.toLowerCase());
+  return tags.filter(tag => known.includes(tag.toLowerCase()));
+}
+
+/**
+ * One-line description of a filter, e.g.
+ * "Rings: Imprinting, Intimacy · Activation 20–80 · Sorted by Name"
+ * @param {Object} filter - Filter
+ * @returns {string} "All aspects" when nothing narrows the set
+ */
+export function describeFilter(filter) {
+  const parts = [];
+  if (filter.query.trim()) parts.push(`“${filter.query.trim()}”`);
+  if (filter.rings.length) parts.push(`${filter.rings.length > 1 ? 'Rings' : 'Ring'}: ${filter.rings.join(', ')}`);
+  if (filter.stages.length) parts.push(`${filter.stages.length > 1 ? 'Stages' : 'Stage'}: ${filter.stages.join(', ')}`);
+  if (filter.minActivation > 0 || filter.maxActivation < 100) {
+    parts.push(`Activation ${filter.minActivation}–${filter.maxActivation}`);
+  }
+  if (filter.tags.length) parts.push(`${filter.tags.length > 1 ? 'Tags' : 'Tag'}: ${filter.tags.join(', ')}`);
+  if (!parts.length) parts.push('All aspects');
+  if (filter.sort !== 'clock') parts.push(`Sorted by ${SORT_ORDERS[filter.sort]}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Filter summary with the match count, e.g. "12 of 32 aspects · Ring: Intimacy"
+ * @param {Object} state - Store state
+ * @returns {string}
+ */
+export function summarizeFilter(state) {
+  const count = selectMatchingIds(state).length;
+  return `${count} of ${ASPECTS.length} aspects · ${describeFilter(filterOf(state))}`;
+}
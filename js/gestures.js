@@ -0,0 +1,330 @@
+/**
+ * @module gestures
+ * @description Pointer gesture layer for the 32-Aspect Self Clock Interactive (SCI)
+ * One Pointer Events layer for mouse, pen and touch: drag to spin the clock
+ * (release velocity is handed to the store's physics), wheel and pinch to
+ * zoom, Shift+drag or two fingers to pan, and hover / long-press tooltips.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS } from './data.js';
+import { getLensAspects } from './lenses.js';
+
+/**
+ * Gesture tuning
+ */
+const DRAG_THRESHOLD = 4;         // Pixels moved before a press becomes a drag
+const LONG_PRESS_MS = 500;        // Touch hold before the tooltip shows
+const TOOLTIP_LINGER_MS = 1500;   // Touch tooltip stays this long after release
+const VELOCITY_WINDOW_MS = 100;   // Recent drag samples used for release velocity
+const WHEEL_ZOOM_RATE = 0.0015;   // Zoom change per wheel delta unit
+
+/**
+ * viewBox for the current zoom and pan
+ * @param {Object} state - Store state ({zoom, panX, panY})
+ * @param {number} width - Clock width (SVG units)
+ * @param {number} height - Clock height (SVG units)
+ * @returns {string} viewBox attribute value
+ */
+export function viewBoxFor(state, width, height) {
+  const w = width / state.zoom;
+  const h = height / state.zoom;
+  const x = width / 2 + state.panX * width - w / 2;
+  const y = height / 2 + state.panY * height - h / 2;
+  const round = (value) => Math.round(value * 100) / 100;
+  return `${round(x)} ${round(y)} ${round(w)} ${round(h)}`;
+}
+
+/**
+ * Apply zoom and pan to the SVG (writes only when the viewBox changed)
+ * @param {SVGElement} svg - Clock SVG
+ * @param {Object} state - Store state
+ * @param {number} width - Clock width
+ * @param {number} height - Clock height
+ */
+export function applyView(svg, state, width, height) {
+  const viewBox = viewBoxFor(state, width, height);
+  if (svg.getAttribute('viewBox') !== viewBox) svg.setAttribute('viewBox', viewBox);
+}
+
+/**
+ * Tooltip lines for an aspect: name, ring, frequency, activation, lens tags
+ * @param {Object} state - Store state
+ * @param {number} index - Aspect index (0-31)
+ * @returns {Array<string>}
+ */
+export function describeAspectTooltip(state, index) {
+  const aspect = ASPECTS[index];
+  const view = getLensAspects(state.mode)[index];
+  return [
+    view.label,
+    `${aspect.ringName} ring · ${aspect.stageName} stage`,
+    `${aspect.frequency} Hz`,
+    `Activation ${Math.round(state.aspects[index].targetValue)}`,
+    view.tags.join(' · ')
+  ].filter(Boolean);
+}
+
+/**
+ * Attach the gesture layer to the clock SVG
+ * @param {SVGElement} svg - Clock SVG
+ * @param {Object} store - Store API: getState, setDragRotation, releaseRotation, setView
+ * @param {Object} options
+ * @param {number} options.width - Clock width (SVG units)
+ * @param {number} options.height - Clock height (SVG units)
+ * @param {HTMLElement|null} [options.tooltip] - Tooltip element (hidden when idle)
+ * @returns {Function} Detach function
+ */
+export function attachGestures(svg, store, { width, height, tooltip = null }) {
+  const pointers = new Map();     // pointerId -> {x, y} (client pixels)
+  let gesture = null;             // Current one- or two-pointer gesture
+  let suppressClick = false;      // Swallow the click that ends a drag
+  let longPressTimer = null;
+  let tooltipTimer = null;
+
+  /**
+   * Client pixels -> SVG user units (accounts for zoom, pan and CSS scaling)
+   */
+  function toSVG(x, y) {
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return { x, y };
+    const point = new DOMPoint(x, y).matrixTransform(ctm.inverse());
+    return { x: point.x, y: point.y };
+  }
+
+  /**
+   * Pointer angle around the clock centre
+   */
+  function angleAt(x, y) {
+    const p = toSVG(x, y);
+    return Math.atan2(p.y - height / 2, p.x - width / 2);
+  }
+
+  /**
+   * Screen pixels per SVG unit
+   */
+  function pixelScale() {
+    const ctm = svg.getScreenCTM();
+    return ctm ? Math.hypot(ctm.a, ctm.b) : 1;
+  }
+
+  /**
+   * Zoom around a client point, keeping the SVG point under it fixed
+   */
+  function zoomAround(clientX, clientY, nextZoom) {
+    const state = store.getState();
+    const anchor = toSVG(clientX, clientY);
+    const ratio = state.zoom / Math.max(0.01, nextZoom);
+    const centerX = width / 2 + state.panX * width;
+    const centerY = height / 2 + state.panY * height;
+    store.setView({
+      zoom: nextZoom,
+      panX: (anchor.x + (centerX - anchor.x) * ratio - width / 2) / width,
+      panY: (anchor.y + (centerY - anchor.y) * ratio - height / 2) / height
+    });
+  }
+
+  /**
+   * Pan by a client-pixel delta
+   */
+  function panBy(dx, dy) {
+    const state = store.getState();
+    const scale = pixelScale();
+    store.setView({
+      panX: state.panX - dx / scale / width,
+      panY: state.panY - dy / scale / height
+    });
+  }
+
+  function showTooltip(index, clientX, clientY) {
+    if (!tooltip) return;
+    clearTimeout(tooltipTimer);
+    tooltip.replaceChildren(...describeAspectTooltip(store.getState(), index).map((line, i) => {
+      const row = document.createElement(i === 0 ? 'strong' : 'div');
+      row.textContent = line;
+      return row;
+    }));
+    tooltip.style.left = `${clientX + 14}px`;
+    tooltip.style.top = `${clientY + 14}px`;
+    tooltip.hidden = false;
+  }
+
+  function hideTooltip(delay = 0) {
+    if (!tooltip) return;
+    clearTimeout(tooltipTimer);
+    if (delay) tooltipTimer = setTimeout(() => { tooltip.hidden = true; }, delay);
+    else tooltip.hidden = true;
+  }
+
+  function aspectIndexAt(target) {
+    const node = target && target.closest ? target.closest('[data-aspect-index]') : null;
+    return node ? parseInt(node.getAttribute('data-aspect-index')) : null;
+  }
+
+  function cancelLongPress() {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+
+  /**
+   * Start a gesture from the pointers currently down
+   */
+  function beginGesture(event) {
+    const points = [...pointers.values()];
+    if (points.length === 1) {
+      gesture = {
+        type: event.shiftKey ? 'pan' : 'rotate',
+        startX: points[0].x,
+        startY: points[0].y,
+        lastX: points[0].x,
+        lastY: points[0].y,
+        dragging: false,
+        startAngle: angleAt(points[0].x, points[0].y),
+        startRotation: store.getState().rotation,
+        samples: []
+      };
+    } else if (points.length === 2) {
+      const [a, b] = points;
+      gesture = {
+        type: 'pinch',
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        midX: (a.x + b.x) / 2,
+        midY: (a.y + b.y) / 2,
+        zoom: store.getState().zoom,
+        dragging: true
+      };
+    }
+  }
+
+  function onPointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    suppressClick = false;
+    cancelLongPress();
+    beginGesture(event);
+
+    // Touch and pen: hold on a node to see its tooltip
+    const index = aspectIndexAt(event.target);
+    if (event.pointerType !== 'mouse' && index !== null && pointers.size === 1) {
+      longPressTimer = setTimeout(() => {
+        showTooltip(index, event.clientX, event.clientY);
+        suppressClick = true;
+      }, LONG_PRESS_MS);
+    }
+  }
+
+  function onPointerMove(event) {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      if (!svg.hasPointerCapture(event.pointerId)) svg.setPointerCapture(event.pointerId);
+      const [a, b] = [...pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const midX = (a.x + b.x) / 2;
+      const midY = (a.y + b.y) / 2;
+      panBy(midX - gesture.midX, midY - gesture.midY);
+      if (gesture.distance > 0) zoomAround(midX, midY, gesture.zoom * distance / gesture.distance);
+      gesture.midX = midX;
+      gesture.midY = midY;
+      return;
+    }
+
+    if (!gesture.dragging) {
+      if (Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY) < DRAG_THRESHOLD) return;
+      gesture.dragging = true;
+      cancelLongPress();
+      hideTooltip();
+      // Capture only once dragging, so plain taps still click the node underneath
+      svg.setPointerCapture(event.pointerId);
+    }
+
+    if (gesture.type === 'pan') {
+      panBy(event.clientX - gesture.lastX, event.clientY - gesture.lastY);
+    } else {
+      const rotation = gesture.startRotation + (angleAt(event.clientX, event.clientY) - gesture.startAngle);
+      const now = performance.now();
+      gesture.samples.push({ time: now, rotation });
+      gesture.samples = gesture.samples.filter(sample => now - sample.time <= VELOCITY_WINDOW_MS);
+      store.setDragRotation(rotation);
+    }
+    gesture.lastX = event.clientX;
+    gesture.lastY = event.clientY;
+  }
+
+  function onPointerUp(event) {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.delete(event.pointerId);
+    cancelLongPress();
+    if (event.pointerType !== 'mouse') hideTooltip(TOOLTIP_LINGER_MS);
+
+    if (gesture && gesture.dragging) {
+      suppressClick = true;
+      if (gesture.type === 'rotate' && event.type === 'pointerup') {
+        const samples = gesture.samples;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = first && last ? (last.time - first.time) / 1000 : 0;
+        // Unwrap across ±π so a drag through the 9 o'clock position does not flip the sign
+        let turned = last && first ? last.rotation - first.rotation : 0;
+        if (turned > Math.PI) turned -= 2 * Math.PI;
+        if (turned < -Math.PI) turned += 2 * Math.PI;
+        store.releaseRotation(elapsed > 0 ? turned / elapsed : 0);
+      }
+    }
+
+    // A pinch that loses a finger continues as a fresh one-pointer gesture
+    gesture = null;
+    if (pointers.size) beginGesture(event);
+  }
+
+  function onClickCapture(event) {
+    if (!suppressClick) return;
+    suppressClick = false;
+    event.stopPropagation();
+    event.preventDefault();
+  }
+
+  function onWheel(event) {
+    event.preventDefault();
+    const zoom = store.getState().zoom * Math.exp(-event.deltaY * WHEEL_ZOOM_RATE);
+    zoomAround(event.clientX, event.clientY, zoom);
+  }
+
+  // Mouse and pen hover tooltips
+  function onPointerOver(event) {
+    if (event.pointerType === 'touch' || (gesture && gesture.dragging)) return;
+    const index = aspectIndexAt(event.target);
+    if (index !== null) showTooltip(index, event.clientX, event.clientY);
+  }
+
+  function onPointerOut(event) {
+    if (event.pointerType === 'touch') return;
+    if (aspectIndexAt(event.target) !== null) hideTooltip();
+  }
+
+  // The browser must not scroll or zoom the page while gesturing on the clock
+  svg.style.touchAction = 'none';
+
+  const listeners = [
+    ['pointerdown', onPointerDown],
+    ['pointermove', onPointerMove],
+    ['pointerup', onPointerUp],
+    ['pointercancel', onPointerUp],
+    ['pointerover', onPointerOver],
+    ['pointerout', onPointerOut],
+    ['wheel', onWheel, { passive: false }],
+    ['click', onClickCapture, { capture: true }]
+  ];
+  listeners.forEach(([type, handler, options]) => svg.addEventListener(type, handler, options));
+
+  return () => {
+    listeners.forEach(([type, handler, options]) => svg.removeEventListener(type, handler, options));
+    cancelLongPress();
+    hideTooltip();
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * @module history
+ * @description Linear undo/redo timeline for the 32-Aspect Self Clock Interactive (SCI)
+ * Stores labelled state entries; the store decides what goes into an entry
+ * and how to restore it. Consecutive edits with the same coalesce key
+ * (e.g. dragging one activation slider) collapse into a single entry.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+/**
+ * Default history settings
+ */
+const DEFAULT_LIMIT = 100;          // Maximum entries kept (oldest dropped first)
+const DEFAULT_COALESCE_MS = 1000;   // Window for merging repeated edits
+
+/**
+ * Create a history timeline
+ * @param {Object} initialState - State entry for the starting point
+ * @param {Object} options
+ * @param {number} [options.limit] - Maximum entries kept
+ * @param {number} [options.coalesceMs] - Merge window for same-key edits
+ * @param {Function} [options.now] - Clock (ms), injectable for tests and replays
+ * @returns {Object} History API
+ */
+export function createHistory(initialState, {
+  limit = DEFAULT_LIMIT,
+  coalesceMs = DEFAULT_COALESCE_MS,
+  now = () => Date.now()
+} = {}) {
+  let entries = [{ label: 'Start', state: initialState, time: now(), coalesceKey: null }];
+  let index = 0;
+
+  return {
+    /**
+     * Record a new state after an action
+     * Drops any redo branch. Merges into the current entry when the
+     * coalesce key matches and the last edit was recent. Actions that leave
+     * the state unchanged (e.g. re-selecting the active lens) are ignored.
+     * @param {string} label - Human-readable action description
+     * @param {Object} state - Plain, JSON-serializable state entry after the action
+     * @param {string|null} coalesceKey - Key for merging repeated edits
+     * @returns {boolean} True if the timeline changed
+     */
+    push(label, state, coalesceKey = null) {
+      const time = now();
+      const current = entries[index];
+      if (JSON.stringify(state) === JSON.stringify(current.state)) return false;
+
+      const canMerge = coalesceKey !== null
+        && index > 0
+        && index === entries.length - 1
+        && current.coalesceKey === coalesceKey
+        && time - current.time <= coalesceMs;
+
+      if (canMerge) {
+        entries[index] = { label, state, time, coalesceKey };
+        return true;
+      }
+
+      entries = entries.slice(0, index + 1);
+      entries.push({ label, state, time, coalesceKey });
+      if (entries.length > limit) {
+        entries = entries.slice(entries.length - limit);
+      }
+      index = entries.length - 1;
+      return true;
+    },
+
+    /**
+     * Step back one entry
+     * @returns {Object|null} State entry to restore, or null at the start
+     */
+    undo() {
+      if (index === 0) return null;
+      index--;
+      return entries[index].state;
+    },
+
+    /**
+     * Step forward one entry
+     * @returns {Object|null} State entry to restore, or null at the end
+     */
+    redo() {
+      if (index === entries.length - 1) return null;
+      index++;
+      return entries[index].state;
+    },
+
+    /**
+     * Jump to any entry
+     * @param {number} target - Entry index
+     * @returns {Object|null} State entry to restore, or null if out of range
+     */
+    jumpTo(target) {
+      if (!Number.isInteger(target) || target < 0 || target >= entries.length) return null;
+      index = target;
+      return entries[index].state;
+    },
+
+    canUndo() {
+      return index > 0;
+    },
+
+    canRedo() {
+      return index < entries.length - 1;
+    },
+
+    /**
+     * Action log for display
+     * @returns {{index: number, entries: Array<{label: string, time: number}>}}
+     */
+    getLog() {
+      return {
+        index,
+        entries: entries.map(({ label, time }) => ({ label, time }))
+      };
+    }
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * @module journal
+ * @description Longitudinal journal for the 32-Aspect Self Clock Interactive (SCI)
+ * Keeps dated snapshots of the clock in local storage so a client's
+ * activations can be revisited over weeks, scrubbed through as a timeline
+ * and exported or imported as a single file.
+ *
+ * The storage backend is injectable (anything with getItem/setItem), so the
+ * journal also works in Node and in tests; without storage it stays in memory.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { VIS_CONFIG } from './data.js';
+import { createSnapshot, parseSnapshot } from './schema.js';
+
+/**
+ * Journal file format version
+ */
+export const JOURNAL_VERSION = 1;
+
+/**
+ * Local storage key for the journal
+ */
+export const JOURNAL_STORAGE_KEY = 'selfClockJournal';
+
+/**
+ * Validate a journal file (or stored journal)
+ * Entry snapshots are migrated to the current schema and must carry activations.
+ * @param {string|Object} input - Journal JSON text or parsed object
+ * @returns {{ok: boolean, entries: Array<Object>, errors: Array<string>}}
+ *   Entries sorted oldest first
+ */
+export function parseJournal(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { ok: false, entries: [], errors: [`Not valid JSON: ${error.message}`] };
+    }
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+    return { ok: false, entries: [], errors: ['Expected a journal object with an entries array'] };
+  }
+  if (data.journalVersion !== JOURNAL_VERSION) {
+    return { ok: false, entries: [], errors: [`journalVersion: expected ${JOURNAL_VERSION}, got ${JSON.stringify(data.journalVersion)}`] };
+  }
+
+  const errors = [];
+  const entries = [];
+  data.entries.forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id) {
+      errors.push(`entries[${i}].id: expected a non-empty string`);
+      return;
+    }
+    if (Number.isNaN(Date.parse(entry.timestamp))) {
+      errors.push(`entries[${i}].timestamp: expected an ISO date, got ${JSON.stringify(entry.timestamp)}`);
+      return;
+    }
+    const { ok, snapshot, errors: snapshotErrors } = parseSnapshot(entry.snapshot);
+    if (!ok) {
+      snapshotErrors.forEach(error => errors.push(`entries[${i}].snapshot: ${error}`));
+      return;
+    }
+    if (!snapshot.activations) {
+      errors.push(`entries[${i}].snapshot.activations: missing`);
+      return;
+    }
+    entries.push({
+      id: entry.id,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      note: typeof entry.note === 'string' ? entry.note : '',
+      snapshot
+    });
+  });
+
+  return errors.length
+    ? { ok: false, entries: [], errors }
+    : { ok: true, entries: sortEntries(entries), errors: [] };
+}
+
+/**
+ * Sort entries oldest first (ties keep their order)
+ */
+function sortEntries(entries) {
+  return entries.slice().sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+/**
+ * Activations at a fractional timeline position
+ * Position 1.5 is halfway between the second and third entries.
+ * @param {Array<Object>} entries - Journal entries, oldest first
+ * @param {number} position - Timeline position (0 to entries.length - 1)
+ * @returns {Array<number>|null} 32 activations, or null for an empty journal
+ */
+export function activationsAt(entries, position) {
+  if (!entries.length) return null;
+  const clamped = Math.min(entries.length - 1, Math.max(0, position));
+  const lower = Math.floor(clamped);
+  const upper = Math.min(entries.length - 1, lower + 1);
+  const t = clamped - lower;
+  const from = entries[lower].snapshot.activations;
+  const to = entries[upper].snapshot.activations;
+  return from.map((value, i) => value + (to[i] - value) * t);
+}
+
+/**
+ * Per-aspect activation series across the journal (for sparklines)
+ * @param {Array<Object>} entries - Journal entries, oldest first
+ * @returns {Array<Array<number>>} 32 series, one value per entry
+ */
+export function aspectTrends(entries) {
+  return Array.from({ length: VIS_CONFIG.ASPECT_COUNT }, (_, i) =>
+    entries.map(entry => entry.snapshot.activations[i])
+  );
+}
+
+/**
+ * Create a journal bound to a storage backend
+ * @param {Object} options
+ * @param {Storage|null} [options.storage] - getItem/setItem backend (defaults to localStorage)
+ * @param {string} [options.key] - Storage key
+ * @returns {Object} Journal API
+ */
+export function createJournal({
+  storage = globalThis.localStorage ?? null,
+  key = JOURNAL_STORAGE_KEY
+} = {}) {
+  let entries = load();
+
+  /**
+   * Read the stored journal (an unreadable journal starts empty)
+   */
+  function load() {
+    if (!storage) return [];
+    let text = null;
+    try {
+      text = storage.getItem(key);
+    } catch (error) {
+      console.warn('Journal storage is unavailable:', error.message);
+      return [];
+    }
+    if (!text) return [];
+    const result = parseJournal(text);
+    if (!result.ok) {
+      console.warn('Stored journal ignored:', result.errors);
+      return [];
+    }
+    return result.entries;
+  }
+
+  /**
+   * Write the journal back (failures keep the in-memory copy)
+   * @returns {boolean} True if persisted
+   */
+  function save() {
+    if (!storage) return false;
+    try {
+      storage.setItem(key, JSON.stringify(toFile()));
+      return true;
+    } catch (error) {
+      console.warn('Journal could not be saved:', error.message);
+      return false;
+    }
+  }
+
+  function toFile() {
+    return {
+      journalVersion: JOURNAL_VERSION,
+      project: 'Self Clock Interactive - Kinetic Imperative',
+      author: 'Adrian Lei Martinez-Conol',
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+  }
+
+  return {
+    /**
+     * @returns {Array<Object>} Entries {id, timestamp, note, snapshot}, oldest first
+     */
+    getEntries() {
+      return entries.slice();
+    },
+
+    /**
+     * Record a dated snapshot of the current state
+     * @param {Object} state - Store state
+     * @param {string} note - Optional session note
+     * @returns {Object} The new entry
+     */
+    addEntry(state, note = '') {
+      const snapshot = createSnapshot(state);
+      const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: snapshot.timestamp,
+        note: String(note).trim(),
+        snapshot
+      };
+      entries = sortEntries([...entries, entry]);
+      save();
+      return entry;
+    },
+
+    /**
+     * Delete one entry
+     * @param {string} id - Entry id
+     * @returns {boolean} True if an entry was removed
+     */
+    removeEntry(id) {
+      const next = entries.filter(entry => entry.id !== id);
+      if (next.length === entries.length) return false;
+      entries = next;
+      save();
+      return true;
+    },
+
+    /**
+     * Delete every entry
+     */
+    clear() {
+      entries = [];
+      save();
+    },
+
+    /**
+     * Export the whole journal as one file
+     * @returns {string} Pretty-printed journal JSON
+     */
+    exportJournal() {
+      return JSON.stringify(toFile(), null, 2);
+    },
+
+    /**
+     * Import a journal file
+     * Entries are merged by id (existing entries win) unless replace is set.
+     * Nothing is applied unless the whole file validates.
+     * @param {string|Object} input - Journal JSON text or parsed object
+     * @param {Object} options
+     * @param {boolean} [options.replace=false] - Replace instead of merging
+     * @returns {{ok: boolean, added: number, errors: Array<string>}}
+     */
+    importJournal(input, { replace = false } = {}) {
+      const result = parseJournal(input);
+      if (!result.ok) return { ok: false, added: 0, errors: result.errors };
+
+      const known = new Set(replace ? [] : entries.map(entry => entry.id));
+      const incoming = result.entries.filter(entry => !known.has(entry.id));
+      entries = sortEntries([...(replace ? [] : entries), ...incoming]);
+      save();
+      return { ok: true, added: incoming.length, errors: [] };
+    }
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * @module layouts
+ * @description Node layouts for the 32-Aspect Self Clock Interactive (SCI)
+ * A layout places every aspect at a polar point {angle, r}: angle in radians
+ * (0 = top, clockwise, before the clock's rotation) and r as a fraction of
+ * the clock radius. The renderer scales the points to pixels, so every
+ * overlay (links, sparklines, comparison arrows, tutorial spotlight) follows
+ * whichever layout is showing.
+ *
+ *   circle      all 32 aspects on one circle, in id order
+ *   concentric  each ring's 4 aspects on that ring's own radius
+ *               (MIN_RADIUS_RATIO, then RING_SPACING per ring outward)
+ *   sectors     the 12 stages as 30° sectors (the lifespan hand's sectors),
+ *               members ordered outward by ring
+ *
+ * Switching layouts animates: the store keeps the points being left and a
+ * progress value, and blendLayout() interpolates between them.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, STAGES, VIS_CONFIG } from './data.js';
+
+/**
+ * Available layouts, with the label used in the layout menu
+ */
+export const LAYOUTS = Object.freeze({
+  circle: 'Single circle',
+  concentric: 'Concentric rings',
+  sectors: 'Stage sectors'
+});
+
+/**
+ * Layout of states that do not name one (older headless states)
+ */
+export const DEFAULT_LAYOUT = 'circle';
+
+/**
+ * Duration of an animated layout switch (seconds)
+ */
+export const LAYOUT_TRANSITION_SECONDS = 0.8;
+
+/**
+ * Angular spread between members of one stage sector (radians)
+ */
+const SECTOR_MEMBER_SPREAD = (8 * Math.PI) / 180;
+
+/**
+ * Radius of a ring in the concentric layout (fraction of the clock radius)
+ * Also where the dashed ring guides are drawn.
+ * @param {number} ringIndex - Ring index (0-7, inner to outer)
+ * @returns {number}
+ */
+export function ringRadius(ringIndex) {
+  return VIS_CONFIG.MIN_RADIUS_RATIO + ringIndex * VIS_CONFIG.RING_SPACING;
+}
+
+/**
+ * Centre angle of a stage sector (radians, 0 = top)
+ * @param {number} stageIndex - Stage index (0-11)
+ * @returns {number}
+ */
+export function sectorAngle(stageIndex) {
+  return (stageIndex / VIS_CONFIG.STAGE_COUNT) * 2 * Math.PI;
+}
+
+/**
+ * Point generators, one per layout
+ */
+const GENERATORS = {
+  circle: (aspect) => ({
+    angle: (aspect.id / VIS_CONFIG.ASPECT_COUNT) * 2 * Math.PI,
+    r: 1
+  }),
+
+  // Slots sit 90° apart; each ring is turned a little further than the one
+  // inside it, so the harmonic columns read as gentle spirals
+  concentric: (aspect) => {
+    const perRing = VIS_CONFIG.ASPECT_COUNT / VIS_CONFIG.RING_COUNT;
+    const slot = aspect.id % perRing;
+    return {
+      angle: (slot / perRing) * 2 * Math.PI + (aspect.ringIndex / VIS_CONFIG.ASPECT_COUNT) * 2 * Math.PI,
+      r: ringRadius(aspect.ringIndex)
+    };
+  },
+
+  sectors: (aspect) => {
+    const members = STAGES[aspect.stageAssoc].aspects;
+    const k = members.indexOf(aspect.id);
+    return {
+      angle: sectorAngle(aspect.stageAssoc) + (k - (members.length - 1) / 2) * SECTOR_MEMBER_SPREAD,
+      r: ringRadius(aspect.ringIndex)
+    };
+  }
+};
+
+/**
+ * Points of every layout, generated once
+ */
+const POINTS = Object.freeze(Object.fromEntries(Object.entries(GENERATORS).map(([id, generate]) =>
+  [id, Object.freeze(ASPECTS.map(aspect => Object.freeze(generate(aspect))))]
+)));
+
+/**
+ * Whether a value is a layout id
+ * @param {string} layout
+ * @returns {boolean}
+ */
+export function isLayout(layout) {
+  return Object.prototype.hasOwnProperty.call(LAYOUTS, layout);
+}
+
+/**
+ * Points of a layout
+ * @param {string} layout - Layout id (unknown ids get the default layout)
+ * @returns {Array<{angle: number, r: number}>} One point per aspect
+ */
+export function layoutPoints(layout) {
+  return POINTS[layout] || POINTS[DEFAULT_LAYOUT];
+}
+
+/**
+ * Smoothstep easing for layout transitions
+ */
+function ease(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Where an aspect is drawn in a state, mid-transition included
+ * Angles travel the short way round.
+ * @param {Object} state - Store state (layout, layoutFrom, layoutProgress)
+ * @param {number} index - Aspect index (0-31)
+ * @returns {{angle: number, r: number}}
+ */
+export function blendLayout(state, index) {
+  const to = layoutPoints(state.layout)[index];
+  if (!state.layoutFrom || state.layoutProgress >= 1) return to;
+
+  const from = state.layoutFrom[index];
+  const t = ease(Math.max(0, state.layoutProgress));
+  const turn = Math.atan2(Math.sin(to.angle - from.angle), Math.cos(to.angle - from.angle));
+  return {
+    angle: from.angle + turn * t,
+    r: from.r + (to.r - from.r) * t
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * @module lenses
+ * @description Mind / Body / Soul lens model for the 32-Aspect Self Clock Interactive (SCI)
+ * Maps each canonical aspect onto its Faculty of Being and derives the
+ * per-lens label, colour, tags and metadata shown by the renderer.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS } from './data.js';
+
+/**
+ * The 24 core Faculties of Being + 8 compound Faculties
+ * from the Periodic Table of Consciousness, keyed by aspect id + 1.
+ * `stage` and `ring` are the faculty's own canonical placement.
+ */
+export const FACULTIES_OF_BEING = {
+  1:  { name: 'Sensation',             symbol: 'Se',   family: 'S',        definition: 'Raw sensory input',        stage: 1,  ring: 1 },
+  2:  { name: 'Attention',             symbol: 'At',   family: 'S',        definition: 'Selective focus',          stage: 2,  ring: 1 },
+  3:  { name: 'Affect',                symbol: 'Af',   family: 'S',        definition: 'Emotional charge',         stage: 1,  ring: 2 },
+  4:  { name: 'Orientation',           symbol: 'Or',   family: 'S',        definition: 'Spatial/temporal framing', stage: 2,  ring: 2 },
+  5:  { name: 'BreathTempo',           symbol: 'Bt',   family: 'S',        definition: 'System timing',            stage: 3,  ring: 1 },
+  6:  { name: 'Perception',            symbol: 'Pe',   family: 'P',        definition: 'Pattern recognition',      stage: 4,  ring: 2 },
+  7:  { name: 'Memory',                symbol: 'Me',   family: 'P',        definition: 'Storage & retrieval',      stage: 5,  ring: 2 },
+  8:  { name: 'Imagination',           symbol: 'Im',   family: 'P',        definition: 'Creative synthesis',       stage: 6,  ring: 3 },
+  9:  { name: 'Discernment',           symbol: 'Ds',   family: 'P',        definition: 'Essence vs illusion',      stage: 7,  ring: 3 },
+  10: { name: 'Intuition',             symbol: 'In',   family: 'P',        definition: 'Direct knowing',           stage: 8,  ring: 3 },
+  11: { name: 'Judgment',              symbol: 'Ju',   family: 'D',        definition: 'Evaluative reasoning',     stage: 9,  ring: 4 },
+  12: { name: 'Will',                  symbol: 'Wi',   family: 'D',        definition: 'Purposeful action',        stage: 10, ring: 4 },
+  13: { name: 'Language',              symbol: 'La',   family: 'D',        definition: 'Symbolic expression',      stage: 8,  ring: 4 },
+  14: { name: 'Metacognition',         symbol: 'Mc',   family: 'D',        definition: 'Thinking about thinking',  stage: 9,  ring: 5 },
+  15: { name: 'Reflection',            symbol: 'Rf',   family: 'D',        definition: 'Conscious introspection',  stage: 10, ring: 5 },
+  16: { name: 'Moral Reasoning',       symbol: 'Mrl',  family: 'F',        definition: 'Ethical discernment',      stage: 11, ring: 5 },
+  17: { name: 'Empathy',               symbol: 'Em',   family: 'F',        definition: 'Emotional resonance',      stage: 7,  ring: 6 },
+  18: { name: 'Wisdom',                symbol: 'Ws',   family: 'F',        definition: 'Integrated understanding', stage: 12, ring: 6 },
+  19: { name: 'Creativity',            symbol: 'Cr',   family: 'F',        definition: 'Novel synthesis',          stage: 6,  ring: 4 },
+  20: { name: 'Consciousness',         symbol: 'Cs',   family: 'F',        definition: 'Awareness of awareness',   stage: 11, ring: 7 },
+  21: { name: 'Compassion',            symbol: 'Cm',   family: 'F',        definition: 'Universal care',           stage: 12, ring: 7 },
+  22: { name: 'Unity',                 symbol: 'Un',   family: 'F',        definition: 'Non-dual awareness',       stage: 12, ring: 8 },
+  23: { name: 'Transcendence',         symbol: 'Tr',   family: 'F',        definition: 'Beyond individual self',   stage: 12, ring: 8 },
+  24: { name: 'Love',                  symbol: 'Lv',   family: 'F',        definition: 'Fundamental force',        stage: 11, ring: 8 },
+  25: { name: 'Practical Wisdom',      symbol: 'PW',   family: 'Compound', definition: 'Mc+Ju+Mrl',                stage: 11, ring: 6 },
+  26: { name: 'Authentic Expression',  symbol: 'AE',   family: 'Compound', definition: 'La+Wi+Cr',                 stage: 9,  ring: 5 },
+  27: { name: 'Empathic Intelligence', symbol: 'EI',   family: 'Compound', definition: 'Em+In+Ds',                 stage: 8,  ring: 6 },
+  28: { name: 'Sacred Presence',       symbol: 'SP',   family: 'Compound', definition: 'Cs+Lv+Tr',                 stage: 12, ring: 8 },
+  29: { name: 'Integrative Flow',      symbol: 'IF',   family: 'Compound', definition: 'Me+Im+Rf',                 stage: 7,  ring: 4 },
+  30: { name: 'Compassionate Action',  symbol: 'CA',   family: 'Compound', definition: 'Cm+Wi+Mrl',                stage: 11, ring: 7 },
+  31: { name: 'Unified Awareness',     symbol: 'UA',   family: 'Compound', definition: 'Un+Cs+Lv',                 stage: 12, ring: 8 },
+  32: { name: 'I Am That I Am',        symbol: 'IATA', family: 'Eternal',  definition: 'The ground of being',      stage: 12, ring: 8 }
+};
+
+/**
+ * Family-level NSIL, gravity and archetype metadata
+ */
+export const FACULTY_FAMILY_META = {
+  S: { nsil: 'sensory', gravity: 'attractor', archetype: 'The Sensor' },
+  P: { nsil: 'perceptual', gravity: 'resonator', archetype: 'The Seer' },
+  D: { nsil: 'directive', gravity: 'initiator', archetype: 'The Navigator' },
+  F: { nsil: 'fulcrum', gravity: 'integrator', archetype: 'The Sage' },
+  Compound: { nsil: 'compound', gravity: 'synthesizer', archetype: 'The Weaver' },
+  Eternal: { nsil: 'eternal', gravity: 'transcendent', archetype: 'The Witness' }
+};
+
+/**
+ * Family order used for colour spreads
+ */
+const FAMILY_ORDER = ['S', 'P', 'D', 'F', 'Compound', 'Eternal'];
+
+/**
+ * Neural substrate per harmonic ring (inner to outer)
+ */
+export const NEURAL_RINGS = [
+  'Brainstem & Arousal Networks',
+  'Thalamic Relay & Orientation Systems',
+  'Limbic Integration Circuits',
+  'Sensorimotor & Associative Cortex',
+  'Prefrontal Executive Matrix',
+  'Social & Mirror Neuron Networks',
+  'Default Mode / Salience Bridge',
+  'Global Neural Synchrony'
+];
+
+/**
+ * Dominant neurotransmitter per faculty family
+ */
+export const TRANSMITTER_BY_FAMILY = {
+  S: 'Acetylcholine (ACh)',
+  P: 'Glutamate',
+  D: 'Dopamine (DA)',
+  F: 'Serotonin (5-HT)',
+  Compound: 'Oxytocin',
+  Eternal: 'Endorphins'
+};
+
+/**
+ * Energy mode per harmonic ring level (1-8)
+ */
+export const ENERGY_MODE_BY_RING = {
+  1: 'Grounding / Somatic',
+  2: 'Orientation / Vestibular',
+  3: 'Imaginative / Default',
+  4: 'Creative / Motor',
+  5: 'Executive / Breath',
+  6: 'Relational / Heart Field',
+  7: 'Insight / Auric',
+  8: 'Transpersonal / Quantum'
+};
+
+/**
+ * Lens definitions
+ */
+export const LENSES = {
+  mind: { id: 'mind', label: 'Mind', accent: '#FFD700' },
+  body: { id: 'body', label: 'Body', accent: '#FF6B6B' },
+  soul: { id: 'soul', label: 'Soul', accent: '#9D4EDD' }
+};
+
+function generateNSILSignature(fac) {
+  const meta = FACULTY_FAMILY_META[fac.family] || { nsil: 'facet' };
+  return `nsil:${meta.nsil}:${fac.symbol.toLowerCase()}`;
+}
+
+function calculateSemanticGravity(fac) {
+  const meta = FACULTY_FAMILY_META[fac.family];
+  return meta ? meta.gravity : 'dynamic';
+}
+
+function generateArchetypalSymbol(fac) {
+  const meta = FACULTY_FAMILY_META[fac.family];
+  return meta ? meta.archetype : 'Archetype';
+}
+
+function generateNSILPrinciple(fac) {
+  return `principle:${(fac.symbol || fac.name).toLowerCase()}`;
+}
+
+/**
+ * Build the lens view of one aspect
+ * Neural substrate and energy mode follow the aspect's ring on the clock;
+ * symbol, family and definition come from its Faculty of Being.
+ * @param {Object} aspect - Canonical aspect from ASPECTS
+ * @param {string} mode - Lens id: 'mind', 'body', or 'soul'
+ * @returns {Object} Frozen lens view {id, name, label, colorPosition, tags, meta, ...}
+ */
+function buildLensAspect(aspect, mode) {
+  const fac = FACULTIES_OF_BEING[aspect.id + 1];
+  const ringLevel = aspect.ringIndex + 1;
+  const familyPosition = FAMILY_ORDER.indexOf(fac.family) / (FAMILY_ORDER.length - 1);
+
+  const base = {
+    id: aspect.id,
+    name: aspect.name,
+    symbol: fac.symbol,
+    family: fac.family,
+    faculty: fac.name,
+    definition: fac.definition,
+    brainRegion: NEURAL_RINGS[aspect.ringIndex % NEURAL_RINGS.length],
+    neurotransmitter: TRANSMITTER_BY_FAMILY[fac.family] || 'Poly-neuro',
+    energyMode: ENERGY_MODE_BY_RING[ringLevel] || 'Harmonic'
+  };
+
+  if (mode === 'mind') {
+    const view = {
+      ...base,
+      label: aspect.name,
+      colorPosition: familyPosition,
+      nsilSemanticSignature: generateNSILSignature(fac),
+      semanticGravity: calculateSemanticGravity(fac),
+      quantumMode: `${fac.family.toLowerCase()}-wave`,
+      particleWaveFieldFunction: `${fac.symbol}-propagation`,
+      matterOutput: `${fac.name} insight`
+    };
+    view.tags = [fac.symbol, view.quantumMode, view.semanticGravity];
+    view.meta = [
+      { label: 'Definition', value: fac.definition },
+      { label: 'NSIL Signature', value: view.nsilSemanticSignature },
+      { label: 'Quantum Mode', value: `${view.quantumMode} · ${view.particleWaveFieldFunction}` },
+      { label: 'Semantic Gravity', value: view.semanticGravity }
+    ];
+    return Object.freeze(view);
+  }
+
+  if (mode === 'body') {
+    const view = {
+      ...base,
+      label: fac.name,
+      colorPosition: aspect.ringIndex / 7,
+      matterOutput: `${fac.name} embodiment`
+    };
+    view.tags = [fac.symbol, view.brainRegion, view.neurotransmitter.split(' ')[0], view.energyMode];
+    view.meta = [
+      { label: 'Definition', value: fac.definition },
+      { label: 'Brain Region', value: view.brainRegion },
+      { label: 'Neurotransmitter', value: view.neurotransmitter },
+      { label: 'Energy Mode', value: view.energyMode }
+    ];
+    return Object.freeze(view);
+  }
+
+  const view = {
+    ...base,
+    label: `${fac.symbol} · ${aspect.name}`,
+    colorPosition: familyPosition,
+    archetypalSymbol: generateArchetypalSymbol(fac),
+    spiritualRole: `${fac.name} consciousness`,
+    nsilPrincipleSignature: generateNSILPrinciple(fac),
+    matterOutput: `${fac.name} radiance`
+  };
+  view.tags = [fac.symbol, view.archetypalSymbol, view.nsilPrincipleSignature];
+  view.meta = [
+    { label: 'Definition', value: fac.definition },
+    { label: 'Archetype', value: view.archetypalSymbol },
+    { label: 'Spiritual Role', value: view.spiritualRole },
+    { label: 'NSIL Principle', value: view.nsilPrincipleSignature }
+  ];
+  return Object.freeze(view);
+}
+
+/**
+ * Three parallel lens datasets (32 views each)
+ */
+export const LENS_ASPECTS = Object.freeze(Object.fromEntries(
+  Object.keys(LENSES).map(mode => [
+    mode,
+    Object.freeze(ASPECTS.map(aspect => buildLensAspect(aspect, mode)))
+  ])
+));
+
+/**
+ * Get the 32 lens views for a mode
+ * @param {string} mode - Lens id: 'mind', 'body', or 'soul'
+ * @returns {Array<Object>} Lens views indexed by aspect id
+ */
+export function getLensAspects(mode) {
+  return LENS_ASPECTS[mode] || LENS_ASPECTS.mind;
+}
@@ -0,0 +1,104 @@
+/**
+ * @module lexicon
+ * @description Editable emotion / keyword lexicon for the offline "I feel…" analyzer
+ * Research data, not code: tune the weights here and check the effect with
+ * `node scripts/analyze-text.mjs "some text"`. The analyzer validates this
+ * file when it loads (see validateLexicon() in analyzer.js).
+ *
+ * aspects       Aspect name (as in RINGS) -> { term: weight }
+ *               weight  +1 strongly engages the aspect, -1 strongly depletes it
+ *               term    a word or short phrase, lower case; a trailing *
+ *                       matches any ending ("lonel*" = lonely, loneliness)
+ * negations     Words that flip the next matched term ("not safe")
+ * negationScope Tokens after a negation that it still reaches
+ * negationFactor  Share of the weight kept, flipped, when negated
+ * intensifiers  Multipliers for the word right before a term ("very lonely");
+ *               under a negation a booster is inverted ("not very safe")
+ * lensCues      Extra evidence for a dominant lens ({ term: weight })
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+export const LEXICON = {
+  version: 1,
+
+  aspects: {
+    // Imprinting
+    'Safety': { 'safe': 1, 'secure': 0.9, 'protected': 0.8, 'calm': 0.5, 'afraid': -0.9, 'scared': -0.9, 'fear*': -0.8, 'anxi*': -0.7, 'threat*': -0.8, 'unsafe': -1, 'panic*': -0.9 },
+    'Trust': { 'trust*': 1, 'rely': 0.7, 'faith': 0.6, 'betray*': -1, 'suspicious': -0.7, 'lied': -0.8, 'doubt*': -0.5 },
+    'Belonging': { 'belong*': 1, 'included': 0.8, 'welcome*': 0.7, 'home': 0.5, 'family': 0.5, 'lonel*': -0.9, 'alone': -0.7, 'isolated': -0.9, 'left out': -0.8, 'rejected': -0.9, 'outsider': -0.8 },
+    'Worth': { 'worthy': 1, 'valued': 0.9, 'proud': 0.6, 'enough': 0.5, 'worthless': -1, 'ashamed': -0.8, 'shame*': -0.8, 'useless': -0.9, 'not good enough': -0.9 },
+
+    // Autonomy
+    'Independence': { 'independen*': 1, 'free': 0.8, 'freedom': 0.8, 'my own': 0.6, 'trapped': -0.9, 'controlled': -0.8, 'dependent': -0.6, 'stuck': -0.6 },
+    'Initiative': { 'start*': 0.6, 'motivated': 0.9, 'eager': 0.8, 'driven': 0.8, 'ready': 0.5, 'procrastinat*': -0.8, 'unmotivated': -0.9, 'lazy': -0.6 },
+    'Creativity': { 'creat*': 1, 'imagin*': 0.8, 'inspired': 0.9, 'ideas': 0.6, 'art': 0.6, 'blocked': -0.7, 'uninspired': -0.9, 'bored': -0.5 },
+    'Responsibility': { 'responsib*': 1, 'accountable': 0.9, 'duty': 0.7, 'commitment': 0.7, 'obligation*': 0.5, 'careless': -0.7, 'blame*': -0.5, 'guilt*': -0.4 },
+
+    // Competence
+    'Learning': { 'learn*': 1, 'study*': 0.8, 'curious': 0.8, 'understand*': 0.6, 'growth': 0.6, 'confused': -0.6, 'lost': -0.4 },
+    'Skill': { 'skill*': 1, 'capable': 0.9, 'competent': 0.9, 'practice': 0.6, 'good at': 0.8, 'incompetent': -0.9, 'clumsy': -0.6 },
+    'Performance': { 'perform*': 0.9, 'succeed*': 0.9, 'success*': 0.9, 'achiev*': 0.8, 'productive': 0.5, 'fail*': -0.9, 'mistake*': -0.6, 'pressure': -0.5 },
+    'Recognition': { 'recogni*': 1, 'appreciated': 0.9, 'praised': 0.8, 'noticed': 0.6, 'seen': 0.5, 'ignored': -0.9, 'overlooked': -0.8, 'invisible': -0.8, 'unappreciated': -0.9 },
+
+    // Identity
+    'Self-Awareness': { 'aware*': 0.9, 'realize*': 0.7, 'notice*': 0.5, 'insight*': 0.7, 'reflect*': 0.5, 'numb': -0.7, 'disconnected': -0.6 },
+    'Self-Expression': { 'express*': 1, 'speak up': 0.9, 'voice': 0.7, 'share*': 0.5, 'silenced': -0.9, 'hold back': -0.6, 'unheard': -0.8 },
+    'Role-Clarity': { 'purpose': 0.8, 'role': 0.7, 'direction': 0.7, 'clear': 0.5, 'clarity': 0.8, 'unclear': -0.6, 'aimless': -0.8, 'directionless': -0.9 },
+    'Authenticity': { 'authentic*': 1, 'genuine': 0.9, 'real': 0.5, 'true to myself': 1, 'myself': 0.4, 'fake': -0.9, 'pretend*': -0.8, 'mask': -0.6, 'imposter': -0.8 },
+
+    // Intimacy
+    'Emotional Intelligence': { 'feelings': 0.6, 'emotion*': 0.8, 'sensitive': 0.6, 'attuned': 0.9, 'overwhelm*': -0.7, 'numb': -0.6 },
+    'Vulnerability': { 'vulnerab*': 1, 'open': 0.6, 'exposed': 0.6, 'raw': 0.7, 'hurt': 0.6, 'cry*': 0.6, 'guarded': -0.7, 'walls': -0.6 },
+    'Empathy': { 'empath*': 1, 'understood': 0.7, 'sympath*': 0.8, 'relate': 0.6, 'cold': -0.6, 'indifferen*': -0.8 },
+    'Mutuality': { 'together': 0.8, 'partner*': 0.8, 'friend*': 0.7, 'connect*': 0.8, 'relationship*': 0.7, 'close': 0.5, 'one-sided': -0.8, 'distant': -0.7, 'breakup': -0.8 },
+
+    // Generativity
+    'Productivity': { 'productive': 1, 'efficient': 0.8, 'get things done': 0.9, 'busy': 0.4, 'work*': 0.4, 'exhausted': -0.7, 'burn* out': -0.9, 'burnout': -0.9, 'tired': -0.6 },
+    'Innovation': { 'innovat*': 1, 'new': 0.4, 'experiment*': 0.7, 'invent*': 0.9, 'change': 0.4, 'stagnant': -0.8, 'routine': -0.4 },
+    'Mentorship': { 'mentor*': 1, 'teach*': 0.8, 'guide': 0.7, 'coach*': 0.8, 'parent*': 0.5, 'students': 0.6 },
+    'Impact': { 'impact': 1, 'difference': 0.8, 'legacy': 0.9, 'matter': 0.6, 'contribut*': 0.8, 'pointless': -0.9, 'meaningless': -0.9 },
+
+    // Integration
+    'Perspective': { 'perspective': 1, 'bigger picture': 0.9, 'step back': 0.8, 'context': 0.5, 'tunnel vision': -0.8 },
+    'Acceptance': { 'accept*': 1, 'let go': 0.9, 'peace': 0.7, 'okay': 0.4, 'resent*': -0.9, 'regret*': -0.7, 'bitter': -0.8, 'resist*': -0.5 },
+    'Balance': { 'balance*': 1, 'steady': 0.8, 'grounded': 0.9, 'centered': 0.9, 'rest*': 0.4, 'chaos': -0.8, 'chaotic': -0.8, 'overwhelm*': -0.6, 'stress*': -0.7 },
+    'Compassion': { 'compassion*': 1, 'kind*': 0.8, 'care': 0.7, 'caring': 0.8, 'forgiv*': 0.8, 'harsh': -0.6, 'judg*': -0.5, 'cruel': -0.9 },
+
+    // Transcendence
+    'Unity': { 'unity': 1, 'one with': 0.9, 'oneness': 1, 'whole': 0.7, 'connected to everything': 1, 'fragment*': -0.8, 'divided': -0.7, 'separate': -0.5 },
+    'Service': { 'serv*': 0.9, 'help*': 0.7, 'volunteer*': 0.9, 'give back': 0.9, 'selfish': -0.7 },
+    'Love': { 'love*': 1, 'loving': 1, 'adore': 0.9, 'tender*': 0.7, 'warm*': 0.5, 'hate*': -0.9, 'unloved': -1, 'heartbroken': -0.8, 'heartbreak': -0.8 },
+    'Wisdom': { 'wisdom': 1, 'wise': 0.9, 'meaning*': 0.6, 'truth': 0.6, 'understand deeply': 0.9, 'sacred': 0.7, 'spiritual*': 0.6 }
+  },
+
+  negations: ['not', 'no', 'never', 'without', 'hardly', "don't", "dont", "doesn't", "didn't", "isn't", "wasn't", "aren't", "can't", "cannot", "won't", 'nothing', 'nobody'],
+  negationScope: 3,
+  negationFactor: 0.8,
+
+  intensifiers: {
+    'very': 1.5,
+    'really': 1.4,
+    'so': 1.3,
+    'extremely': 2,
+    'deeply': 1.6,
+    'completely': 1.8,
+    'totally': 1.7,
+    'incredibly': 1.8,
+    'too': 1.3,
+    'quite': 1.2,
+    'somewhat': 0.7,
+    'slightly': 0.5,
+    'little': 0.6,
+    'bit': 0.6,
+    'barely': 0.4
+  },
+
+  lensCues: {
+    mind: { 'think*': 0.6, 'thought*': 0.6, 'idea*': 0.4, 'decide*': 0.5, 'plan*': 0.4, 'mind': 0.8, 'focus*': 0.5 },
+    body: { 'body': 0.8, 'tired': 0.6, 'exhausted': 0.7, 'sleep*': 0.6, 'tense': 0.6, 'pain': 0.7, 'sick': 0.6, 'heart racing': 0.8, 'breath*': 0.5, 'stomach': 0.6 },
+    soul: { 'soul': 0.9, 'spirit*': 0.8, 'sacred': 0.7, 'meaning*': 0.6, 'purpose': 0.5, 'prayer': 0.7, 'universe': 0.7, 'divine': 0.8 }
+  }
+};
@@ -8,19 +8,57 @@
  * @framework Kinetic Imperative - Self Clock Interactive
  */
 
-import { renderClock } from './renderer.js';
+import { renderClock, renderBreath, renderClockToString } from './renderer.js';
+import { buildExport } from './exporters.js';
+import { createMetricsSelector } from './metrics.js';
+import { attachGestures, applyView } from './gestures.js';
+import { createTutorial } from './tutorial.js';
+import { encodeState, decodeHash } from './deeplink.js';
+import { createJournal, activationsAt, aspectTrends } from './journal.js';
+import { compareStages } from './development.js';
+import { describeAspect } from './details.js';
+import { createEchoProvider, createHttpBackend, applyEchoResult } from './echo.js';
+import { analyzeText, describeExplanation, createLexiconBackend } from './analyzer.js';
+import { SORT_ORDERS, availableTags, selectAspectList, summarizeFilter } from './filters.js';
+import { THEMES, SYSTEM_THEME, applyThemeToDocument, createThemePreference } from './themes.js';
+import { LAYOUTS } from './layouts.js';
+import { ASPECTS, RINGS, STAGE_NAMES } from './data.js';
+import { LENSES, getLensAspects } from './lenses.js';
+import * as store from './store.js';
 import {
   subscribe,
+  getState,
   setAspect,
+  setFocusedAspect,
   setMode,
   setRing,
   setStage,
-  setTutorial,
+  setComparison,
+  setDevStage,
+  setStageWeight,
+  setActivation,
+  setFilter,
+  resetFilter,
   toggleDisplay,
+  setResonanceThreshold,
+  setTempo,
+  setLayout,
+  setBreathingPaused,
+  setReducedMotion,
+  updateBatchValues,
+  setTrends,
   updatePhysics,
   shuffle,
+  randomize,
   deactivateAll,
-  exportState
+  resetView,
+  importState,
+  undo,
+  redo,
+  jumpToHistory,
+  getHistory,
+  isBreathing,
+  BREATH_INTERVAL_MS
 } from './store.js';
 
 /**
@@ -30,7 +68,8 @@ const config = {
   svgId: 'selfClockSVG',
   width: 800,
   height: 800,
-  targetFPS: 60
+  targetFPS: 60,
+  echoEndpoint: null            // Echo analysis service URL; null uses the offline lexicon analyzer
 };
 
 /**
@@ -51,18 +90,83 @@ export function init() {
   // Set SVG dimensions
   svg.setAttribute('width', config.width);
   svg.setAttribute('height', config.height);
-  svg.setAttribute('viewBox', `0 0 ${config.width} ${config.height}`);
+  applyView(svg, getState(), config.width, config.height);
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-label', '32-Aspect Self Clock');
+  svg.setAttribute('aria-describedby', 'keyboardHint');
+  
+  // Colour theme: remembered choice, or the OS preference until one is made
+  themePreference = createThemePreference(store);
+  applyThemeToDocument(getState().theme);
   
   // Subscribe to state changes
-  subscribe((state) => {
-    renderClock(svg, config.width, config.height);
+  // Painting waits for the next frame, so however many notifications land in
+  // one frame cost a single render; breathing ticks only patch the pulse.
+  // Physics frames only repaint the clock; actions also refresh the controls
+  // and wake the animation loop, which sleeps once everything has settled.
+  const selectMetrics = createMetricsSelector();
+  let paintFrame = null;
+  let sceneDirty = false;
+  let panelsDirty = false;
+  const paint = () => {
+    paintFrame = null;
+    const state = getState();
+    if (sceneDirty) {
+      renderClock(svg, config.width, config.height, state);
+      applyView(svg, state, config.width, config.height);
+    } else {
+      renderBreath(svg, config.width, config.height, state);
+    }
+    if (panelsDirty) {
+      updateModeButtons(state.mode);
+      updateTutorialPanel(state.tutorialStep);
+      syncDisplayControls(state);
+      updateMetricsPanel(selectMetrics(state));
+      updateHistoryLog(getHistory());
+      updateComparisonSummary(state.comparison);
+      updateDetailPanel(state);
+      updateAspectBrowser(state);
+    }
+    sceneDirty = false;
+    panelsDirty = false;
+  };
+  subscribe((state, action) => {
+    if (action !== 'breathe') sceneDirty = true;
+    if (paintFrame === null) paintFrame = requestAnimationFrame(paint);
+    if (action === 'updatePhysics' || action === 'breathe') return;
+    panelsDirty = true;
+    if (action === 'setTheme') applyThemeToDocument(state.theme);
+    announce(describeAction(state, action), CONTINUOUS_ACTIONS.includes(action));
+    syncLocation(state, action);
+    startAnimationLoop();
   });
   
   // Initial render
   renderClock(svg, config.width, config.height);
+  updateMetricsPanel(selectMetrics(getState()));
+  updateHistoryLog(getHistory());
+  updateDetailPanel(getState());
+  
+  // Tutorial engine (drives the overlay through setTutorial / setHighlights)
+  tutorial = createTutorial(store);
+  
+  // Restore a shared view from the URL, then keep the URL in step
+  // (a page opened without one gets the starting view written into its
+  // history entry, so Back returns to it)
+  if (!location.hash || location.hash === '#') writeLocation(encodeState(getState()), false);
+  else openLocation('Open link');
+  window.addEventListener('popstate', () => openLocation('Back/forward'));
   
   // Set up event handlers
   setupEventHandlers(svg);
+  setupJournal();
+  setupComparison();
+  setupLifespan();
+  setupDetailPanel();
+  setupAspectBrowser();
+  updateAspectBrowser(getState());
+  setupEcho();
+  setupTheme();
   
   // Start animation loop
   startAnimationLoop();
@@ -83,6 +187,51 @@ function setupEventHandlers(svg) {
     }
   });
   
+  // Pointer gestures: drag to spin, wheel / pinch to zoom, Shift+drag or two fingers to pan
+  attachGestures(svg, store, {
+    width: config.width,
+    height: config.height,
+    tooltip: document.getElementById('clockTooltip')
+  });
+  
+  const resetViewBtn = document.getElementById('resetViewBtn');
+  if (resetViewBtn) resetViewBtn.addEventListener('click', () => resetView());
+  
+  // Keyboard: roving focus across the nodes, Enter / Space selects
+  svg.addEventListener('keydown', (event) => {
+    const index = aspectIndexOf(event.target);
+    if (index === null || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      setAspect(index);
+      return;
+    }
+    const next = nextFocusIndex(index, event.key);
+    if (next === null) return;
+    event.preventDefault();
+    setFocusedAspect(next);
+    const node = svg.querySelector(`[data-aspect-index="${next}"]`);
+    if (node) node.focus();
+  });
+  
+  // Keep the roving tab stop on whichever node received focus (Tab, click)
+  svg.addEventListener('focusin', (event) => {
+    const index = aspectIndexOf(event.target);
+    if (index !== null && index !== getState().focusedAspect) setFocusedAspect(index);
+  });
+  
+  // Single-key shortcuts (as in the monolith): T tutorial, R randomize, E export, 0 clear;
+  // L cycles the layouts
+  document.addEventListener('keydown', (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTextEntry(event.target)) return;
+    if (event.target && event.target.tagName === 'SELECT') return;
+    const action = KEYBOARD_SHORTCUTS[event.key.toLowerCase()];
+    if (action) {
+      event.preventDefault();
+      action();
+    }
+  });
+  
   // Mode buttons
   const mindBtn = document.getElementById('mindBtn');
   const bodyBtn = document.getElementById('bodyBtn');
@@ -92,14 +241,29 @@ function setupEventHandlers(svg) {
   if (bodyBtn) bodyBtn.addEventListener('click', () => setMode('body'));
   if (soulBtn) soulBtn.addEventListener('click', () => setMode('soul'));
   
-  // Tutorial button
+  // Tutorial button and step controls
   const tutorialBtn = document.getElementById('tutorialBtn');
   if (tutorialBtn) {
     tutorialBtn.addEventListener('click', () => {
-      setTutorial(true);
+      tutorial.start();
     });
   }
   
+  const tutorialControls = {
+    tutorialBackBtn: () => tutorial.back(),
+    tutorialNextBtn: () => tutorial.next(),
+    tutorialSkipBtn: () => tutorial.skip()
+  };
+  Object.entries(tutorialControls).forEach(([id, handler]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', handler);
+  });
+  
+  // Escape closes the tutorial (progress is kept)
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && tutorial.isActive()) tutorial.skip();
+  });
+  
   // Shuffle button
   const shuffleBtn = document.getElementById('shuffleBtn');
   if (shuffleBtn) {
@@ -116,15 +280,97 @@ function setupEventHandlers(svg) {
     });
   }
   
-  // Export JSON button
-  const exportBtn = document.getElementById('exportBtn');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      const json = exportState();
-      downloadJSON(json, 'self-clock-state.json');
+  // Undo / Redo buttons
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.addEventListener('click', () => undo());
+  if (redoBtn) redoBtn.addEventListener('click', () => redo());
+  
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextEntry(event.target)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) redo();
+      else undo();
+    } else if (key === 'y' && !event.shiftKey) {
+      event.preventDefault();
+      redo();
+    }
+  });
+  
+  // Copy a shareable link to the current view
+  const shareBtn = document.getElementById('shareBtn');
+  if (shareBtn) {
+    shareBtn.addEventListener('click', async () => {
+      const url = location.href.replace(/#.*$/, '') + encodeState(getState());
+      try {
+        await navigator.clipboard.writeText(url);
+        showStatus('Link to this view copied to the clipboard');
+      } catch (error) {
+        showStatus(`Could not copy the link: ${error.message}`, true);
+      }
     });
   }
   
+  // Action log: jump back (or forward) to any entry
+  const historyLog = document.getElementById('historyLog');
+  if (historyLog) {
+    historyLog.addEventListener('click', (event) => {
+      const btn = event.target.closest('button[data-history-index]');
+      if (btn) jumpToHistory(parseInt(btn.getAttribute('data-history-index')));
+    });
+  }
+  
+  // Export buttons (full JSON, 32-row CSV, printable report)
+  const exportButtons = {
+    exportBtn: 'json',
+    exportCsvBtn: 'csv',
+    exportReportBtn: 'report'
+  };
+  Object.entries(exportButtons).forEach(([id, format]) => {
+    const btn = document.getElementById(id);
+    if (btn) {
+      btn.addEventListener('click', () => exportProfile(format));
+    }
+  });
+  
+  // Image export buttons
+  const exportSvgBtn = document.getElementById('exportSvgBtn');
+  if (exportSvgBtn) {
+    exportSvgBtn.addEventListener('click', () => {
+      downloadFile(renderClockToString(getState(), imageSize()), imageFilename('svg'), 'image/svg+xml');
+    });
+  }
+  
+  const exportPngBtn = document.getElementById('exportPngBtn');
+  if (exportPngBtn) {
+    exportPngBtn.addEventListener('click', () => exportPNG());
+  }
+  
+  // Import JSON button (opens the hidden file picker)
+  const importBtn = document.getElementById('importBtn');
+  const importInput = document.getElementById('importInput');
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      if (importInput.files.length) importFile(importInput.files[0]);
+      importInput.value = '';
+    });
+  }
+  
+  // Drag-and-drop an exported JSON file anywhere on the page
+  document.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  document.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (file) importFile(file);
+  });
+  
   // Harmonic Ring filter buttons
   const ringButtons = document.querySelectorAll('[data-ring]');
   ringButtons.forEach(btn => {
@@ -165,35 +411,1254 @@ function setupEventHandlers(svg) {
       toggleDisplay('showConcentricRings', e.target.checked);
     });
   }
+  
+  // Node layout menu
+  const layoutSelect = document.getElementById('layoutSelect');
+  if (layoutSelect) {
+    layoutSelect.replaceChildren(...Object.entries(LAYOUTS).map(([id, label]) => new Option(label, id)));
+    layoutSelect.addEventListener('change', (e) => setLayout(e.target.value));
+  }
+  
+  // Breathing tempo slider and pause button
+  const tempoSlider = document.getElementById('tempo');
+  if (tempoSlider) {
+    tempoSlider.addEventListener('input', (e) => {
+      setTempo(Number(e.target.value));
+    });
+  }
+  
+  const breathBtn = document.getElementById('breathBtn');
+  if (breathBtn) {
+    breathBtn.addEventListener('click', () => {
+      setBreathingPaused(breathBtn.getAttribute('aria-pressed') !== 'true');
+    });
+  }
+  
+  // Follow the OS reduced-motion preference, live
+  const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  setReducedMotion(motionQuery.matches);
+  motionQuery.addEventListener('change', (e) => setReducedMotion(e.matches));
+  
+  // Resonance threshold slider
+  const thresholdSlider = document.getElementById('resonanceThreshold');
+  if (thresholdSlider) {
+    thresholdSlider.addEventListener('input', (e) => {
+      setResonanceThreshold(Number(e.target.value));
+    });
+  }
+}
+
+/**
+ * Seconds the hand spends on each stage while the lifespan plays
+ */
+const LIFESPAN_SECONDS_PER_STAGE = 1.5;
+let lifespanPlayback = null;
+
+/**
+ * Set up the lifespan slider, play button and stage emphasis controls
+ */
+function setupLifespan() {
+  const slider = document.getElementById('devStage');
+  const playBtn = document.getElementById('lifespanPlayBtn');
+  const weightSelect = document.getElementById('stageWeightSelect');
+  const weightSlider = document.getElementById('stageWeightSlider');
+  
+  if (slider) {
+    slider.addEventListener('input', () => {
+      stopLifespan();
+      setDevStage(Number(slider.value));
+    });
+  }
+  
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (lifespanPlayback !== null) stopLifespan();
+      else playLifespan();
+    });
+  }
+  
+  if (weightSelect && weightSlider) {
+    STAGE_NAMES.forEach((name, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = `${i + 1}. ${name}`;
+      weightSelect.appendChild(option);
+    });
+    weightSelect.addEventListener('change', () => syncDisplayControls(getState()));
+    weightSlider.addEventListener('input', () => {
+      setStageWeight(Number(weightSelect.value), Number(weightSlider.value));
+    });
+  }
+}
+
+/**
+ * Sweep the hand from Imprinting to Return, morphing activations continuously
+ * Starts from the current position unless the hand is already at the end.
+ */
+function playLifespan() {
+  const lastStage = STAGE_NAMES.length - 1;
+  const current = getState().devStage;
+  let position = current !== null && current < lastStage ? current : 0;
+  let last = performance.now();
+  
+  const playBtn = document.getElementById('lifespanPlayBtn');
+  if (playBtn) playBtn.textContent = 'Stop';
+  setDevStage(position);
+  
+  function step(now) {
+    position = Math.min(lastStage, position + (now - last) / 1000 / LIFESPAN_SECONDS_PER_STAGE);
+    last = now;
+    setDevStage(position);
+    if (position < lastStage) {
+      lifespanPlayback = requestAnimationFrame(step);
+    } else {
+      stopLifespan();
+    }
+  }
+  lifespanPlayback = requestAnimationFrame(step);
+}
+
+/**
+ * Stop lifespan playback, if running
+ */
+function stopLifespan() {
+  if (lifespanPlayback !== null) {
+    cancelAnimationFrame(lifespanPlayback);
+    lifespanPlayback = null;
+  }
+  const playBtn = document.getElementById('lifespanPlayBtn');
+  if (playBtn) playBtn.textContent = 'Play Lifespan';
+}
+
+/**
+ * Number of aspects listed for each direction in the comparison summary
+ */
+const COMPARISON_SUMMARY_LENGTH = 5;
+
+/**
+ * Set up the Stage A / Stage B comparison selectors
+ */
+function setupComparison() {
+  const selectA = document.getElementById('compareStageA');
+  const selectB = document.getElementById('compareStageB');
+  if (!selectA || !selectB) return;
+  
+  [selectA, selectB].forEach(select => {
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '—';
+    select.appendChild(none);
+    STAGE_NAMES.forEach((name, i) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = `${i + 1}. ${name}`;
+      select.appendChild(option);
+    });
+    
+    select.addEventListener('change', () => {
+      const stageA = selectA.value;
+      const stageB = selectB.value;
+      setComparison(stageA && stageB && stageA !== stageB ? stageA : null, stageB || null);
+    });
+  });
+}
+
+/**
+ * Show the ranked increases and decreases between the compared stages
+ * @param {Object|null} comparison - {stageA, stageB} from state, or null
+ */
+let renderedComparison = null;
+
+function updateComparisonSummary(comparison) {
+  const summary = document.getElementById('comparisonSummary');
+  if (!summary) return;
+  const key = comparison ? `${comparison.stageA}|${comparison.stageB}` : '';
+  if (key === renderedComparison) return;
+  renderedComparison = key;
+  
+  const result = comparison && compareStages(comparison.stageA, comparison.stageB);
+  if (!result) {
+    summary.replaceChildren('Select two different stages to compare their activation patterns.');
+    return;
+  }
+  
+  const section = (title, items, sign) => {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    const list = document.createElement('ol');
+    items.slice(0, COMPARISON_SUMMARY_LENGTH).forEach(item => {
+      const entry = document.createElement('li');
+      entry.textContent = `${item.name} ${sign}${Math.abs(item.delta)} (${item.from} → ${item.to})`;
+      list.appendChild(entry);
+    });
+    if (!items.length) {
+      const entry = document.createElement('li');
+      entry.textContent = 'None';
+      list.appendChild(entry);
+    }
+    return [heading, list];
+  };
+  
+  summary.replaceChildren(
+    ...section(`Biggest increases · ${result.stageA} → ${result.stageB}`, result.increases, '+'),
+    ...section('Biggest decreases', result.decreases, '−')
+  );
+}
+
+/**
+ * Set up the aspect detail panel: activation slider, related links and close
+ */
+function setupDetailPanel() {
+  const slider = document.getElementById('detailActivation');
+  if (slider) {
+    slider.addEventListener('input', (event) => {
+      const index = getState().currentAspect;
+      if (index !== null) setActivation(index, parseFloat(event.target.value));
+    });
+  }
+  
+  // Related aspects jump to that aspect (the panel follows the selection)
+  const related = document.getElementById('detailRelated');
+  if (related) {
+    related.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-aspect-index]');
+      if (button) setAspect(parseInt(button.getAttribute('data-aspect-index')));
+    });
+  }
+  
+  const closeBtn = document.getElementById('detailCloseBtn');
+  if (closeBtn) closeBtn.addEventListener('click', () => setAspect(null));
+}
+
+/**
+ * Show the selected aspect's placement, lens metadata, activation and relations
+ * The panel is rebuilt only when the selection or lens changes; the
+ * activation readout follows every update.
+ * @param {Object} state - Current application state
+ */
+let renderedDetailKey = null;
+
+function updateDetailPanel(state) {
+  const panel = document.getElementById('detailPanel');
+  if (!panel) return;
+  const index = state.currentAspect;
+  panel.hidden = index === null;
+  if (index === null) {
+    renderedDetailKey = null;
+    return;
+  }
+  
+  const detail = describeAspect(state, index);
+  const slider = document.getElementById('detailActivation');
+  const value = document.getElementById('detailActivationValue');
+  if (slider && document.activeElement !== slider) slider.value = String(detail.activation);
+  if (value) value.textContent = String(detail.activation);
+  
+  const key = `${index}|${state.mode}`;
+  if (key === renderedDetailKey) return;
+  renderedDetailKey = key;
+  
+  const fields = {
+    detailTitle: detail.label,
+    detailPlacement: detail.placement,
+    detailDescription: detail.description,
+    detailTags: `${detail.lens} lens · ${detail.tags.join(' · ')}`
+  };
+  Object.entries(fields).forEach(([id, text]) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  });
+  if (slider) slider.setAttribute('aria-label', `${detail.name} activation`);
+  
+  const meta = document.getElementById('detailMeta');
+  if (meta) {
+    meta.replaceChildren(...detail.meta.map(({ label, value: text }) => {
+      const row = document.createElement('div');
+      const term = document.createElement('dt');
+      const description = document.createElement('dd');
+      term.textContent = label;
+      description.textContent = text;
+      row.append(term, description);
+      return row;
+    }));
+  }
+  
+  const related = document.getElementById('detailRelated');
+  if (related) {
+    related.replaceChildren(...detail.related.flatMap(group => {
+      const heading = document.createElement('h3');
+      heading.textContent = group.relation;
+      const list = document.createElement('ul');
+      group.aspects.forEach(({ id, label }) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('data-aspect-index', String(id));
+        button.textContent = label;
+        item.appendChild(button);
+        list.appendChild(item);
+      });
+      return [heading, list];
+    }));
+  }
+}
+
+/**
+ * Set up the aspect browser: search, ring / stage / tag filters, activation
+ * range, sort order and the synchronized aspect list
+ */
+function setupAspectBrowser() {
+  const fillOptions = (select, entries) => {
+    select.replaceChildren(...entries.map(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      return option;
+    }));
+  };
+  const selected = (select) => [...select.selectedOptions].map(option => option.value);
+  
+  const query = document.getElementById('filterQuery');
+  if (query) query.addEventListener('input', () => setFilter({ query: query.value }));
+  
+  const rings = document.getElementById('filterRings');
+  if (rings) {
+    fillOptions(rings, RINGS.map(ring => [ring.name, `${ring.level}. ${ring.name}`]));
+    rings.addEventListener('change', () => setFilter({ rings: selected(rings) }));
+  }
+  
+  const stages = document.getElementById('filterStages');
+  if (stages) {
+    fillOptions(stages, STAGE_NAMES.map((name, i) => [name, `${i + 1}. ${name}`]));
+    stages.addEventListener('change', () => setFilter({ stages: selected(stages) }));
+  }
+  
+  const tags = document.getElementById('filterTags');
+  if (tags) tags.addEventListener('change', () => setFilter({ tags: selected(tags) }));
+  
+  const sort = document.getElementById('filterSort');
+  if (sort) {
+    fillOptions(sort, Object.entries(SORT_ORDERS));
+    sort.addEventListener('change', () => setFilter({ sort: sort.value }));
+  }
+  
+  // Dragging one end of the range past the other pushes it along
+  const minSlider = document.getElementById('filterMinActivation');
+  const maxSlider = document.getElementById('filterMaxActivation');
+  if (minSlider && maxSlider) {
+    minSlider.addEventListener('input', () => {
+      const min = Number(minSlider.value);
+      setFilter({ minActivation: min, maxActivation: Math.max(min, getState().filter.maxActivation) });
+    });
+    maxSlider.addEventListener('input', () => {
+      const max = Number(maxSlider.value);
+      setFilter({ minActivation: Math.min(max, getState().filter.minActivation), maxActivation: max });
+    });
+  }
+  
+  const resetBtn = document.getElementById('filterResetBtn');
+  if (resetBtn) resetBtn.addEventListener('click', () => resetFilter());
+  
+  const list = document.getElementById('aspectList');
+  if (list) {
+    list.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-aspect-index]');
+      if (button) setAspect(parseInt(button.getAttribute('data-aspect-index')));
+    });
+  }
+}
+
+/**
+ * Keep the filter controls, summary and aspect list in step with state
+ * @param {Object} state - Current application state
+ */
+let renderedTagMode = null;
+let renderedListKey = null;
+
+function updateAspectBrowser(state) {
+  const { filter } = state;
+  const syncSelect = (select, values) => {
+    [...select.options].forEach(option => {
+      option.selected = values.includes(option.value);
+    });
+  };
+  
+  const query = document.getElementById('filterQuery');
+  if (query && query.value !== filter.query) query.value = filter.query;
+  
+  const rings = document.getElementById('filterRings');
+  if (rings) syncSelect(rings, filter.rings);
+  const stages = document.getElementById('filterStages');
+  if (stages) syncSelect(stages, filter.stages);
+  
+  // Tags belong to the lens, so the options follow the lens
+  const tags = document.getElementById('filterTags');
+  if (tags) {
+    if (renderedTagMode !== state.mode) {
+      renderedTagMode = state.mode;
+      tags.replaceChildren(...availableTags(state.mode).map(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = tag;
+        return option;
+      }));
+    }
+    syncSelect(tags, filter.tags);
+  }
+  
+  const sort = document.getElementById('filterSort');
+  if (sort) sort.value = filter.sort;
+  
+  const range = {
+    filterMinActivation: filter.minActivation,
+    filterMaxActivation: filter.maxActivation
+  };
+  Object.entries(range).forEach(([id, value]) => {
+    const slider = document.getElementById(id);
+    const output = document.getElementById(`${id}Value`);
+    if (slider) slider.value = String(value);
+    if (output) output.textContent = String(value);
+  });
+  
+  const summary = document.getElementById('filterSummary');
+  if (summary) summary.textContent = summarizeFilter(state);
+  
+  const list = document.getElementById('aspectList');
+  if (!list) return;
+  const items = selectAspectList(state);
+  const key = `${state.currentAspect}|${items.map(item => `${item.id}:${item.label}:${item.activation}`).join(',')}`;
+  if (key === renderedListKey) return;
+  renderedListKey = key;
+  
+  list.replaceChildren(...items.map(item => {
+    const entry = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('data-aspect-index', String(item.id));
+    if (item.id === state.currentAspect) button.setAttribute('aria-current', 'true');
+    button.textContent = `${item.label} · ${item.ringName} · ${item.stageName} · ${item.activation}`;
+    entry.appendChild(button);
+    return entry;
+  }));
+}
+
+/**
+ * Echo / Mirror: text in, reflection, activations and lens out
+ * The offline lexicon analyzer answers when no endpoint is configured or
+ * the service fails, and then also explains which words drove each aspect.
+ */
+const ECHO_EXPLANATION_LENGTH = 6;
+
+let echo = null;
+
+function setupEcho() {
+  const input = document.getElementById('echoInput');
+  const reflectBtn = document.getElementById('echoBtn');
+  const cancelBtn = document.getElementById('echoCancelBtn');
+  const reflection = document.getElementById('echoReflection');
+  const explanation = document.getElementById('echoExplanation');
+  if (!input || !reflectBtn) return;
+  
+  const offline = createLexiconBackend();
+  const remote = config.echoEndpoint ? createHttpBackend({ url: config.echoEndpoint }) : null;
+  echo = createEchoProvider({ backend: remote || offline, fallback: remote ? offline : null });
+  
+  const explain = (text) => {
+    if (!explanation) return;
+    const items = text ? analyzeText(text).explanations.slice(0, ECHO_EXPLANATION_LENGTH) : [];
+    explanation.replaceChildren(...items.map(item => {
+      const entry = document.createElement('li');
+      entry.textContent = describeExplanation(item);
+      return entry;
+    }));
+  };
+  
+  const setBusy = (busy) => {
+    reflectBtn.disabled = busy;
+    if (cancelBtn) cancelBtn.disabled = !busy;
+  };
+  
+  const reflect = async () => {
+    const text = input.value.trim();
+    if (!text) return;
+    setBusy(true);
+    explain(null);
+    if (reflection) reflection.textContent = 'Attuning to resonance…';
+    try {
+      const outcome = await echo.analyze(text);
+      // A newer request (or Cancel) has taken over
+      if (outcome.cancelled) {
+        if (!echo.isPending()) {
+          setBusy(false);
+          if (reflection) reflection.textContent = 'Reflection cancelled.';
+        }
+        return;
+      }
+      setBusy(false);
+      if (!outcome.ok) {
+        if (reflection) reflection.textContent = '';
+        showStatus(`Echo failed: ${outcome.errors.join('; ')}`, true);
+        return;
+      }
+      applyEchoResult(store, outcome.result);
+      if (reflection) reflection.textContent = `“${outcome.result.reflection}”`;
+      if (outcome.source === offline.name) explain(text);
+      showStatus(outcome.fallback
+        ? `Echo service unavailable; showing an offline reflection (${outcome.errors[0]})`
+        : `Echo reflection applied (${LENSES[outcome.result.dominantLens].label} lens)`, outcome.fallback);
+    } catch (error) {
+      // Unexpected failure: never leave the controls stuck
+      console.warn('Echo reflection failed:', error);
+      setBusy(echo.isPending());
+      if (reflection) reflection.textContent = '';
+      showStatus(`Echo failed: ${error && error.message ? error.message : error}`, true);
+    }
+  };
+  
+  reflectBtn.addEventListener('click', reflect);
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      reflect();
+    }
+  });
+  if (cancelBtn) cancelBtn.addEventListener('click', () => echo.cancel());
+}
+
+/**
+ * Theme menu: 'Match system' or a fixed theme, remembered across visits
+ */
+let themePreference = null;
+
+function setupTheme() {
+  const select = document.getElementById('themeSelect');
+  if (!select) return;
+  
+  select.replaceChildren(
+    new Option('Match system', SYSTEM_THEME),
+    ...Object.values(THEMES).map(theme => new Option(theme.label, theme.id))
+  );
+  select.value = themePreference.getChoice();
+  select.addEventListener('change', () => themePreference.setChoice(select.value));
+}
+
+/**
+ * Journal of dated snapshots (local storage) and its timeline scrubber
+ */
+const journal = createJournal();
+let journalPlayback = null;
+
+/**
+ * Set up journal controls: save, scrub, play, delete, export and import
+ */
+function setupJournal() {
+  const saveBtn = document.getElementById('journalSaveBtn');
+  const noteInput = document.getElementById('journalNote');
+  const scrubber = document.getElementById('journalScrubber');
+  const playBtn = document.getElementById('journalPlayBtn');
+  const deleteBtn = document.getElementById('journalDeleteBtn');
+  const exportBtn = document.getElementById('journalExportBtn');
+  const importBtn = document.getElementById('journalImportBtn');
+  const importInput = document.getElementById('journalImportInput');
+  
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const entry = journal.addEntry(getState(), noteInput ? noteInput.value : '');
+      if (noteInput) noteInput.value = '';
+      const entries = journal.getEntries();
+      refreshJournal(entries.findIndex(item => item.id === entry.id));
+      showStatus(`Journal entry saved (${entries.length} in total)`);
+    });
+  }
+  
+  if (scrubber) {
+    scrubber.addEventListener('input', () => {
+      stopJournalPlayback();
+      showJournalPosition(Number(scrubber.value));
+    });
+  }
+  
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (journalPlayback !== null) stopJournalPlayback();
+      else playJournal();
+    });
+  }
+  
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      const entries = journal.getEntries();
+      const index = scrubber ? Math.round(Number(scrubber.value)) : entries.length - 1;
+      const entry = entries[index];
+      if (!entry || !window.confirm(`Delete the journal entry from ${formatJournalDate(entry.timestamp)}?`)) return;
+      journal.removeEntry(entry.id);
+      refreshJournal(Math.max(0, index - 1));
+    });
+  }
+  
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadFile(journal.exportJournal(), `self-clock-journal-${stamp}.json`, 'application/json');
+    });
+  }
+  
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      const result = journal.importJournal(await file.text());
+      if (result.ok) {
+        refreshJournal(journal.getEntries().length - 1);
+        showStatus(`Imported ${result.added} journal entries from ${file.name}`);
+      } else {
+        showStatus(`${file.name} was not imported: ${result.errors.join('; ')}`, true);
+      }
+    });
+  }
+  
+  refreshJournal(null);
+}
+
+/**
+ * Sync the scrubber range and sparklines with the journal contents
+ * @param {number|null} position - Timeline position to show, or null to leave the clock as is
+ */
+function refreshJournal(position) {
+  stopJournalPlayback();
+  const entries = journal.getEntries();
+  const scrubber = document.getElementById('journalScrubber');
+  const hasTimeline = entries.length > 0;
+  
+  if (scrubber) {
+    scrubber.max = String(Math.max(0, entries.length - 1));
+    scrubber.disabled = !hasTimeline;
+  }
+  ['journalPlayBtn', 'journalDeleteBtn', 'journalExportBtn'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !hasTimeline;
+  });
+  
+  if (!hasTimeline) {
+    setTrends(null);
+    updateJournalLabel(null);
+    return;
+  }
+  if (position === null) {
+    setTrends(aspectTrends(entries), null);
+    updateJournalLabel(null);
+    return;
+  }
+  showJournalPosition(position);
+}
+
+/**
+ * Show the clock at a (fractional) timeline position
+ * Target activations are interpolated between neighbouring entries and the
+ * physics eases the nodes there, so scrubbing animates between entries.
+ * @param {number} position - Timeline position (0 to entries - 1)
+ */
+function showJournalPosition(position) {
+  const entries = journal.getEntries();
+  const activations = activationsAt(entries, position);
+  if (!activations) return;
+  
+  const scrubber = document.getElementById('journalScrubber');
+  if (scrubber) scrubber.value = String(position);
+  
+  const entry = entries[Math.round(position)];
+  updateBatchValues(activations, { label: `Journal: ${formatJournalDate(entry.timestamp)}`, coalesceKey: 'journal' });
+  setTrends(aspectTrends(entries), position);
+  updateJournalLabel(entry);
+}
+
+/**
+ * Show the date and note of the nearest entry
+ * @param {Object|null} entry - Journal entry
+ */
+function updateJournalLabel(entry) {
+  const label = document.getElementById('journalDate');
+  if (!label) return;
+  const count = journal.getEntries().length;
+  if (!entry) {
+    label.textContent = count ? `${count} entries` : 'No entries yet';
+    return;
+  }
+  label.textContent = entry.note
+    ? `${formatJournalDate(entry.timestamp)} · ${entry.note}`
+    : formatJournalDate(entry.timestamp);
+}
+
+/**
+ * Format an entry timestamp for display
+ * @param {string} timestamp - ISO date
+ * @returns {string}
+ */
+function formatJournalDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Seconds spent moving from one entry to the next during playback
+ */
+const JOURNAL_SECONDS_PER_ENTRY = 1.5;
+
+/**
+ * Play the timeline from the current position to the latest entry
+ */
+function playJournal() {
+  const entries = journal.getEntries();
+  const scrubber = document.getElementById('journalScrubber');
+  if (entries.length < 2) return;
+  
+  let position = scrubber ? Number(scrubber.value) : 0;
+  if (position >= entries.length - 1) position = 0;
+  let last = performance.now();
+  
+  const playBtn = document.getElementById('journalPlayBtn');
+  if (playBtn) playBtn.textContent = 'Stop';
+  
+  function step(now) {
+    position = Math.min(entries.length - 1, position + (now - last) / 1000 / JOURNAL_SECONDS_PER_ENTRY);
+    last = now;
+    showJournalPosition(position);
+    if (position < entries.length - 1) {
+      journalPlayback = requestAnimationFrame(step);
+    } else {
+      stopJournalPlayback();
+    }
+  }
+  journalPlayback = requestAnimationFrame(step);
+}
+
+/**
+ * Stop timeline playback, if running
+ */
+function stopJournalPlayback() {
+  if (journalPlayback !== null) {
+    cancelAnimationFrame(journalPlayback);
+    journalPlayback = null;
+  }
+  const playBtn = document.getElementById('journalPlayBtn');
+  if (playBtn) playBtn.textContent = 'Play';
+}
+
+/**
+ * Keep display toggles, sliders and the breathing button in sync with state
+ * @param {Object} state - Current application state
+ */
+function syncDisplayControls(state) {
+  ['showResonance', 'showCrossStage', 'showConcentricRings'].forEach(option => {
+    const checkbox = document.getElementById(option);
+    if (checkbox) checkbox.checked = state[option];
+  });
+  
+  const thresholdSlider = document.getElementById('resonanceThreshold');
+  const thresholdValue = document.getElementById('resonanceThresholdValue');
+  if (thresholdSlider) thresholdSlider.value = String(state.resonanceThreshold);
+  if (thresholdValue) thresholdValue.textContent = String(state.resonanceThreshold);
+  
+  const devSlider = document.getElementById('devStage');
+  const devValue = document.getElementById('devStageValue');
+  if (devSlider && state.devStage !== null) devSlider.value = String(state.devStage);
+  if (devValue) {
+    devValue.textContent = state.devStage === null
+      ? '—'
+      : `${Math.round(state.devStage) + 1} · ${STAGE_NAMES[Math.round(state.devStage)]}`;
+  }
+  
+  const weightSelect = document.getElementById('stageWeightSelect');
+  const weightSlider = document.getElementById('stageWeightSlider');
+  const weightValue = document.getElementById('stageWeightValue');
+  if (weightSelect && weightSlider) {
+    const weight = state.stageWeights[Number(weightSelect.value) || 0];
+    weightSlider.value = String(weight);
+    if (weightValue) weightValue.textContent = `${weight.toFixed(2)}×`;
+  }
+  
+  const layoutSelect = document.getElementById('layoutSelect');
+  if (layoutSelect) layoutSelect.value = state.layout;
+  
+  const tempoValue = document.getElementById('tempoValue');
+  if (tempoValue) tempoValue.textContent = `${state.tempo.toFixed(1)}×`;
+  
+  const breathBtn = document.getElementById('breathBtn');
+  if (breathBtn) {
+    const paused = state.breathingPaused || state.reducedMotion;
+    breathBtn.setAttribute('aria-pressed', String(state.breathingPaused));
+    breathBtn.textContent = paused ? 'Resume Breathing' : 'Pause Breathing';
+    breathBtn.disabled = state.reducedMotion;
+  }
+}
+
+/**
+ * Show live SCI, resonance and Energy–Matter metrics
+ * @param {Object} metrics - Result of computeMetrics()
+ */
+let renderedMetrics = null;
+
+function updateMetricsPanel(metrics) {
+  // The selector returns the same object until activations change
+  if (metrics === renderedMetrics) return;
+  renderedMetrics = metrics;
+  
+  const { sci, resonance, energyMatter } = metrics;
+  const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+  const topNT = Object.entries(energyMatter.byNT)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([nt, total]) => `${nt.split(' ')[0]} ${Math.round(total)}`)
+    .join(', ');
+  
+  const fields = {
+    sciValue: `${sci.sci.toFixed(1)} (μ=${sci.mean.toFixed(1)}, σ=${sci.std.toFixed(1)})`,
+    resonanceValue: `${percent(resonance.ratio)} · stage ${percent(resonance.stageRatio)} · ring ${percent(resonance.ringRatio)} · activation ${percent(resonance.activationRatio)}`,
+    energyValue: `ΣE=${Math.round(energyMatter.total)} · NT↑ ${topNT || '—'} · Metabolic ${percent(energyMatter.metabolic)}`
+  };
+  Object.entries(fields).forEach(([id, text]) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  });
+}
+
+/**
+ * Actions that fire continuously while a slider is dragged; consecutive
+ * ones replace the current browser history entry instead of adding new ones
+ */
+const CONTINUOUS_ACTIONS = ['setActivation', 'setResonanceThreshold', 'updateBatchValues', 'setDevStage', 'setStageWeight', 'setFilter'];
+
+/**
+ * Minimum time between URL writes during a continuous run (browsers limit
+ * history API calls; Safari throws past 100 per 30 seconds)
+ */
+const LOCATION_WRITE_INTERVAL_MS = 250;
+
+let lastLocationAction = null;
+let applyingLocation = false;
+let locationTimer = null;
+let lastLocationWrite = 0;
+
+/**
+ * Write a hash into the browser history
+ * Failures are reported, never thrown, so they cannot break the store's
+ * listeners.
+ * @param {string} hash - Encoded view
+ * @param {boolean} push - Add an entry (true) or replace the current one
+ */
+function writeLocation(hash, push) {
+  try {
+    if (push) history.pushState(null, '', hash);
+    else history.replaceState(null, '', hash);
+    lastLocationWrite = performance.now();
+  } catch (error) {
+    console.warn('Could not update the address bar:', error.message);
+  }
+}
+
+/**
+ * Mirror the shareable view into the URL hash
+ * Each discrete change adds a browser history entry so back/forward step
+ * through earlier views. A continuous run (slider drag, playback) adds one
+ * entry when it starts, then updates it at most every
+ * LOCATION_WRITE_INTERVAL_MS and once more after it stops.
+ * @param {Object} state - Current application state
+ * @param {string} action - Store action that changed state
+ */
+function syncLocation(state, action) {
+  if (applyingLocation) return;
+  const continuing = CONTINUOUS_ACTIONS.includes(action) && action === lastLocationAction;
+  lastLocationAction = action;
+  
+  if (!continuing) {
+    clearTimeout(locationTimer);
+    locationTimer = null;
+    const hash = encodeState(state);
+    if (hash !== location.hash) writeLocation(hash, true);
+    return;
+  }
+  
+  // The pending write reads the state when it fires, so it covers this change
+  if (locationTimer !== null) return;
+  const wait = Math.max(0, lastLocationWrite + LOCATION_WRITE_INTERVAL_MS - performance.now());
+  locationTimer = setTimeout(() => {
+    locationTimer = null;
+    const hash = encodeState(getState());
+    if (hash !== location.hash) writeLocation(hash, false);
+  }, wait);
+}
+
+/**
+ * Apply the view encoded in the current URL hash, if any
+ * @param {string} label - Action log text for the restored view
+ */
+function openLocation(label) {
+  if (!location.hash || location.hash === '#') return;
+  const { ok, snapshot, errors } = decodeHash(location.hash);
+  if (!ok) {
+    showStatus(`This link could not be opened: ${errors.join('; ')}`, true);
+    return;
+  }
+  
+  applyingLocation = true;
+  try {
+    importState(snapshot, { label });
+  } finally {
+    applyingLocation = false;
+  }
+  lastLocationAction = null;
+}
+
+/**
+ * Tutorial engine (created in init)
+ */
+let tutorial = null;
+
+/**
+ * Show the current tutorial step and its Back / Next / Skip controls
+ * @param {Object|null} step - state.tutorialStep
+ */
+function updateTutorialPanel(step) {
+  const panel = document.getElementById('tutorialPanel');
+  if (!panel) return;
+  panel.hidden = !step;
+  if (!step) return;
+  
+  const fields = {
+    tutorialProgress: `Step ${step.index + 1} of ${step.total}`,
+    tutorialTitle: step.title,
+    tutorialDetail: step.detail,
+    tutorialHint: step.hint
+  };
+  Object.entries(fields).forEach(([id, text]) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  });
+  
+  const backBtn = document.getElementById('tutorialBackBtn');
+  const nextBtn = document.getElementById('tutorialNextBtn');
+  if (backBtn) backBtn.disabled = step.index === 0;
+  if (nextBtn) {
+    nextBtn.disabled = step.waiting;
+    nextBtn.textContent = step.index === step.total - 1 ? 'Finish' : 'Next';
+  }
+}
+
+/**
+ * Single-key shortcuts
+ */
+const KEYBOARD_SHORTCUTS = {
+  t: () => (tutorial.isActive() ? tutorial.skip() : tutorial.start()),
+  r: () => randomize(),
+  e: () => exportProfile('json'),
+  0: () => deactivateAll(),
+  l: () => {
+    const ids = Object.keys(LAYOUTS);
+    setLayout(ids[(ids.indexOf(getState().layout) + 1) % ids.length]);
+  }
+};
+
+/**
+ * Aspect index of a node element, or null for anything else
+ * @param {Element} el - Event target
+ * @returns {number|null}
+ */
+function aspectIndexOf(el) {
+  if (!el || !el.hasAttribute || !el.hasAttribute('data-aspect-index')) return null;
+  return parseInt(el.getAttribute('data-aspect-index'));
+}
+
+/**
+ * Aspects per ring (ids are laid out ring by ring around the clock)
+ */
+const ASPECTS_PER_RING = ASPECTS.length / 8;
+
+/**
+ * Where an arrow key moves keyboard focus
+ * Left / Right step around the clock (ring order), Up / Down jump to the
+ * same slot in the outer / inner ring, Page Down / Page Up step to the next /
+ * previous aspect of the same stage, Home / End go to the first / last aspect.
+ * @param {number} index - Focused aspect
+ * @param {string} key - KeyboardEvent.key
+ * @returns {number|null} Next aspect, or null for keys that do not move focus
+ */
+function nextFocusIndex(index, key) {
+  const count = ASPECTS.length;
+  const wrap = (i) => (i + count) % count;
+  const stage = STAGES_BY_ASPECT[index];
+  const position = stage.indexOf(index);
+  
+  switch (key) {
+    case 'ArrowRight': return wrap(index + 1);
+    case 'ArrowLeft': return wrap(index - 1);
+    case 'ArrowUp': return wrap(index + ASPECTS_PER_RING);
+    case 'ArrowDown': return wrap(index - ASPECTS_PER_RING);
+    case 'PageDown': return stage[(position + 1) % stage.length];
+    case 'PageUp': return stage[(position - 1 + stage.length) % stage.length];
+    case 'Home': return 0;
+    case 'End': return count - 1;
+    default: return null;
+  }
+}
+
+/**
+ * Members of each aspect's stage, indexed by aspect id
+ */
+const STAGES_BY_ASPECT = ASPECTS.map(aspect =>
+  ASPECTS.filter(other => other.stageAssoc === aspect.stageAssoc).map(other => other.id)
+);
+
+/**
+ * Screen-reader text for a store action
+ * @param {Object} state - Current application state
+ * @param {string} action - Store action that changed state
+ * @returns {string|null} Announcement, or null for silent actions
+ */
+function describeAction(state, action) {
+  const log = getHistory();
+  switch (action) {
+    case 'setAspect':
+    case 'shuffle': {
+      const index = state.currentAspect;
+      if (index === null) return 'Selection cleared';
+      const aspect = ASPECTS[index];
+      const view = getLensAspects(state.mode)[index];
+      return `Selected ${view.label}, ${aspect.ringName} ring, ${aspect.stageName} stage, activation ${Math.round(state.aspects[index].targetValue)}`;
+    }
+    case 'setMode':
+      return `${LENSES[state.mode].label} lens`;
+    case 'setTheme':
+      return `${THEMES[state.theme].label} theme`;
+    case 'setLayout':
+      return `${LAYOUTS[state.layout]} layout`;
+    case 'setFilter':
+      return summarizeFilter(state);
+    case 'setComparison':
+      return state.comparison
+        ? `Comparing ${state.comparison.stageA} with ${state.comparison.stageB}`
+        : 'Stage comparison off';
+    case 'setTutorial': {
+      const step = state.tutorialStep;
+      if (!step) return 'Tutorial closed';
+      return `Tutorial step ${step.index + 1} of ${step.total}: ${step.title}. ${step.detail} ${step.hint}`.trim();
+    }
+    case 'undo':
+      return `Undid ${log.entries[log.index + 1].label}`;
+    case 'redo':
+      return `Redid ${log.entries[log.index].label}`;
+    case 'jumpToHistory':
+      return `Returned to ${log.entries[log.index].label}`;
+    case 'setActivation':
+    case 'updateBatchValues':
+    case 'randomize':
+    case 'deactivateAll':
+    case 'setRing':
+    case 'setStage':
+    case 'toggleDisplay':
+    case 'setResonanceThreshold':
+    case 'setDevStage':
+    case 'setStageWeight':
+    case 'importState':
+      return log.entries[log.index].label;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Announce a message in the screen-reader live region
+ * Continuous changes (slider drags, playback) are announced once they pause.
+ * @param {string|null} message - Text to announce
+ * @param {boolean} debounce - Wait for a pause before announcing
+ */
+const ANNOUNCE_DEBOUNCE_MS = 500;
+let announceTimer = null;
+
+function announce(message, debounce = false) {
+  if (!message) return;
+  const region = document.getElementById('announcer');
+  if (!region) return;
+  clearTimeout(announceTimer);
+  if (debounce) {
+    announceTimer = setTimeout(() => { region.textContent = message; }, ANNOUNCE_DEBOUNCE_MS);
+  } else {
+    region.textContent = message;
+  }
+}
+
+/**
+ * Whether an element handles its own text undo (inputs, textareas, editable content)
+ * @param {Element} el - Event target
+ * @returns {boolean}
+ */
+function isTextEntry(el) {
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'file'].includes(el.type);
+}
+
+/**
+ * Rebuild the action log and undo/redo button states
+ * @param {Object} log - Result of getHistory()
+ */
+let renderedHistoryKey = null;
+
+function updateHistoryLog(log) {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.disabled = !log.canUndo;
+  if (redoBtn) redoBtn.disabled = !log.canRedo;
+  
+  const list = document.getElementById('historyLog');
+  if (!list) return;
+  
+  // Skip the rebuild when neither the entries nor the position changed
+  const key = `${log.index}|${log.entries.map(entry => `${entry.time}:${entry.label}`).join('|')}`;
+  if (key === renderedHistoryKey) return;
+  renderedHistoryKey = key;
+  
+  list.replaceChildren(...log.entries.map((entry, i) => {
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.setAttribute('data-history-index', String(i));
+    btn.textContent = entry.label;
+    btn.title = new Date(entry.time).toLocaleTimeString();
+    if (i === log.index) btn.setAttribute('aria-current', 'step');
+    if (i > log.index) item.classList.add('undone');
+    item.appendChild(btn);
+    return item;
+  }));
+}
+
+/**
+ * Reflect the active lens on the Mind / Body / Soul buttons
+ * @param {string} mode - Active view mode
+ */
+function updateModeButtons(mode) {
+  ['mind', 'body', 'soul'].forEach(name => {
+    const btn = document.getElementById(`${name}Btn`);
+    if (btn) btn.setAttribute('aria-pressed', String(mode === name));
+  });
 }
 
 /**
  * Animation loop for smooth physics-based transitions
+ * Runs only while updatePhysics() reports motion; store actions restart it.
+ * Breathing alone runs on a low-rate timer instead of the frame loop.
  */
 let lastTime = performance.now();
+let animationFrame = null;
+let breathTimer = null;
 
 function startAnimationLoop() {
+  syncBreathTimer();
+  if (animationFrame !== null) return;
+  
   function animate(currentTime) {
-    const deltaTime = (currentTime - lastTime) / 1000; // Convert to seconds
+    // Convert to seconds; cap so a backgrounded tab does not jump on return
+    const deltaTime = Math.min(0.1, (currentTime - lastTime) / 1000);
     lastTime = currentTime;
     
-    // Update physics
-    updatePhysics(deltaTime);
-    
-    // Continue loop
-    requestAnimationFrame(animate);
+    // Update physics; stop once settled
+    if (updatePhysics(deltaTime)) {
+      animationFrame = requestAnimationFrame(animate);
+    } else {
+      animationFrame = null;
+    }
+  }
+  
+  lastTime = performance.now();
+  animationFrame = requestAnimationFrame(animate);
+}
+
+/**
+ * Start or stop the breathing timer to match state
+ * Ticks are skipped while the frame loop runs (it advances breathing itself).
+ */
+function syncBreathTimer() {
+  if (!isBreathing(getState())) {
+    clearInterval(breathTimer);
+    breathTimer = null;
+  } else if (breathTimer === null) {
+    let last = performance.now();
+    breathTimer = setInterval(() => {
+      const now = performance.now();
+      if (animationFrame === null) updatePhysics(Math.min(0.1, (now - last) / 1000));
+      last = now;
+    }, BREATH_INTERVAL_MS);
+  }
+}
+
+/**
+ * Export the full profile in one of the supported formats
+ * @param {string} format - 'json', 'csv' or 'report'
+ */
+function exportProfile(format) {
+  const state = getState();
+  const options = format === 'report'
+    ? { svgMarkup: renderClockToString(state, imageSize()) }
+    : {};
+  const file = buildExport(format, state, options);
+  if (file) {
+    downloadFile(file.content, file.filename, file.mimeType);
   }
+}
+
+/**
+ * Size of exported clock images (matches the on-page SVG)
+ * @returns {{width: number, height: number}}
+ */
+function imageSize() {
+  return { width: config.width, height: config.height };
+}
+
+/**
+ * Build a dated filename for clock images
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+function imageFilename(extension) {
+  return `self-clock-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Rasterize the headless SVG and download it as a PNG
+ * Drawn at devicePixelRatio (at least 2×) so the image stays sharp in reports.
+ */
+function exportPNG() {
+  const scale = Math.max(2, window.devicePixelRatio || 1);
+  const markup = renderClockToString(getState(), imageSize());
+  const svgUrl = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  const image = new Image();
   
-  requestAnimationFrame(animate);
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = config.width * scale;
+    canvas.height = config.height * scale;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(svgUrl);
+    canvas.toBlob(blob => {
+      if (blob) downloadFile(blob, imageFilename('png'), 'image/png');
+      else showStatus('PNG export failed: the browser could not encode the image', true);
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(svgUrl);
+    showStatus('PNG export failed: the clock image could not be loaded', true);
+  };
+  image.src = svgUrl;
 }
 
 /**
- * Download JSON data as a file
- * @param {string} jsonData - JSON string to download
+ * Download data as a file
+ * @param {string|Blob} data - File contents
  * @param {string} filename - Name of the file
+ * @param {string} mimeType - MIME type of the contents
  */
-function downloadJSON(jsonData, filename) {
-  const blob = new Blob([jsonData], { type: 'application/json' });
+function downloadFile(data, filename, mimeType) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
@@ -204,6 +1669,42 @@ function downloadJSON(jsonData, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Read an exported JSON file and restore it into the store
+ * @param {File} file - File chosen in the picker or dropped on the page
+ */
+async function importFile(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    showStatus(`Could not read ${file.name}: ${error.message}`, true);
+    return;
+  }
+  
+  const result = importState(text);
+  if (result.ok) {
+    showStatus(`Restored session from ${file.name}`);
+  } else {
+    showStatus(`${file.name} was not imported: ${result.errors.join('; ')}`, true);
+  }
+}
+
+/**
+ * Show a short message in the status line
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Style the message as an error
+ */
+function showStatus(message, isError = false) {
+  const statusEl = document.getElementById('statusMessage');
+  if (!statusEl) {
+    (isError ? console.warn : console.log)(message);
+    return;
+  }
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', isError);
+}
+
 /**
  * Auto-initialize when DOM is ready
  */
@@ -0,0 +1,183 @@
+/**
+ * @module metrics
+ * @description Pure metrics for the 32-Aspect Self Clock Interactive (SCI)
+ * Semantic Coherence Index, resonance coverage and Energy–Matter totals.
+ * DOM-free: every function takes plain activation arrays, so the same code
+ * runs in the browser, in workers and in Node on exported files.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, VIS_CONFIG } from './data.js';
+import { getLensAspects } from './lenses.js';
+import { parseSnapshot } from './schema.js';
+
+/**
+ * Neurotransmitter per aspect (identical across lenses)
+ */
+const NEUROTRANSMITTERS = getLensAspects('body').map(view => view.neurotransmitter);
+
+/**
+ * Semantic Coherence Index: SCI = μ / (1 + σ) × 100
+ * @param {Array<number>} values - 32 activations (0-100)
+ * @returns {{mean: number, std: number, sci: number}}
+ */
+export function computeSCI(values) {
+  if (!values.length) return { mean: 0, std: 0, sci: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / values.length;
+  const std = Math.sqrt(variance);
+  return { mean, std, sci: (mean / (1 + std)) * 100 };
+}
+
+/**
+ * Resonance coverage over all aspect pairs
+ * A pair is supportive when it shares a stage, shares a ring, or its
+ * activations differ by no more than the threshold.
+ * @param {Array<number>} values - 32 activations (0-100)
+ * @param {number} threshold - Maximum activation difference for resonance
+ * @returns {Object} Pair counts plus ratio, stageRatio, ringRatio and activationRatio
+ */
+export function computeResonanceStats(values, threshold = VIS_CONFIG.RESONANCE_THRESHOLD) {
+  let total = 0;
+  let supportive = 0;
+  let stageAligned = 0;
+  let ringAligned = 0;
+  let activationAligned = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      total++;
+      const sim = Math.abs(values[i] - values[j]) <= threshold;
+      const sameStage = ASPECTS[i].stageAssoc === ASPECTS[j].stageAssoc;
+      const sameRing = ASPECTS[i].ringIndex === ASPECTS[j].ringIndex;
+      if (sim || sameStage || sameRing) {
+        supportive++;
+        if (sim) activationAligned++;
+        if (sameStage) stageAligned++;
+        if (sameRing) ringAligned++;
+      }
+    }
+  }
+
+  const ratioOf = (count) => (total ? count / total : 0);
+  return {
+    total,
+    supportive,
+    stageAligned,
+    ringAligned,
+    activationAligned,
+    ratio: ratioOf(supportive),
+    stageRatio: ratioOf(stageAligned),
+    ringRatio: ratioOf(ringAligned),
+    activationRatio: ratioOf(activationAligned)
+  };
+}
+
+/**
+ * Activation below which an aspect is treated as silent (never resonates)
+ */
+const MIN_RESONANT_VALUE = 1;
+
+/**
+ * Live resonance links between aspects with similar activation
+ * Pairs whose activations differ by no more than the threshold are linked;
+ * closeness runs from 0 (difference == threshold) to 1 (identical values).
+ * Silent aspects are skipped so a deactivated clock shows no links.
+ * @param {Array<number>} values - 32 activations (0-100)
+ * @param {number} threshold - Maximum activation difference for resonance
+ * @returns {Array<{from: number, to: number, closeness: number}>}
+ */
+export function computeResonanceLinks(values, threshold = VIS_CONFIG.RESONANCE_THRESHOLD) {
+  const links = [];
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < MIN_RESONANT_VALUE) continue;
+    for (let j = i + 1; j < values.length; j++) {
+      if (values[j] < MIN_RESONANT_VALUE) continue;
+      const diff = Math.abs(values[i] - values[j]);
+      if (diff > threshold) continue;
+      const closeness = threshold > 0 ? 1 - diff / threshold : 1;
+      links.push({ from: i, to: j, closeness });
+    }
+  }
+  return links;
+}
+
+/**
+ * Energy–Matter totals
+ * @param {Array<number>} values - 32 activations (0-100)
+ * @returns {{total: number, byNT: Object<string, number>, metabolic: number}}
+ *   Total energy, energy per neurotransmitter and metabolic load (0-1)
+ */
+export function computeEnergyMatter(values) {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const byNT = {};
+  values.forEach((value, i) => {
+    const key = NEUROTRANSMITTERS[i] || '—';
+    byNT[key] = (byNT[key] || 0) + value;
+  });
+  const metabolic = values.length ? total / (values.length * 100) : 0;
+  return { total, byNT, metabolic };
+}
+
+/**
+ * All metrics for one set of activations
+ * @param {Array<number>} values - 32 activations (0-100)
+ * @param {Object} options
+ * @param {number} [options.threshold] - Resonance threshold
+ * @returns {{sci: Object, resonance: Object, energyMatter: Object}}
+ */
+export function computeMetrics(values, { threshold = VIS_CONFIG.RESONANCE_THRESHOLD } = {}) {
+  return {
+    sci: computeSCI(values),
+    resonance: computeResonanceStats(values, threshold),
+    energyMatter: computeEnergyMatter(values)
+  };
+}
+
+/**
+ * Target activations from store state
+ * @param {Object} state - Store state
+ * @returns {Array<number>}
+ */
+export function activationsFromState(state) {
+  return state.aspects.map(aspect => aspect.targetValue);
+}
+
+/**
+ * Metrics for an exported file (any supported schema version)
+ * @param {string|Object} input - Exported JSON text or parsed object
+ * @returns {{ok: boolean, metrics: Object|null, errors: Array<string>}}
+ */
+export function computeMetricsFromExport(input) {
+  const { ok, snapshot, errors } = parseSnapshot(input);
+  if (!ok) return { ok, metrics: null, errors };
+  if (!snapshot.activations) {
+    return { ok: false, metrics: null, errors: ['activations: this export does not contain activations'] };
+  }
+  const threshold = snapshot.resonanceThreshold ?? VIS_CONFIG.RESONANCE_THRESHOLD;
+  return { ok: true, metrics: computeMetrics(snapshot.activations, { threshold }), errors: [] };
+}
+
+/**
+ * Create a memoized selector for store subscribers
+ * Metrics are recomputed only when the target activations or the resonance
+ * threshold change, so the selector is cheap to call on every notification.
+ * @returns {Function} (state) => metrics
+ */
+export function createMetricsSelector() {
+  let lastKey = null;
+  let lastMetrics = null;
+  return (state) => {
+    const values = activationsFromState(state);
+    const threshold = state.resonanceThreshold ?? VIS_CONFIG.RESONANCE_THRESHOLD;
+    const key = `${threshold}|${values.join(',')}`;
+    if (key !== lastKey) {
+      lastKey = key;
+      lastMetrics = computeMetrics(values, { threshold });
+    }
+    return lastMetrics;
+  };
+}
@@ -3,13 +3,24 @@
  * @description SVG/Canvas rendering engine for the 32-Aspect Self Clock Interactive (SCI)
  * Handles visual representation of aspects, harmonic rings, stages, and connections
  * 
+ * Retained mode: each frame the layers describe the scene as keyed nodes
+ * ({key, tag, attrs, text, children}); patchSVG() creates each element once
+ * and afterwards only touches attributes whose values changed.
+ * renderClockToString() serializes the same scene without a DOM (Node, workers).
+ * 
  * @author Adrian Lei Martinez-Conol
  * @project Only When Prompted Research Initiative
  * @framework Kinetic Imperative - Self Clock Interactive
  */
 
-import { ASPECTS, HARMONIC_RINGS, STAGES } from './data.js';
+import { ASPECTS, HARMONIC_RINGS, STAGES, STAGE_NAMES, VIS_CONFIG } from './data.js';
 import { getState } from './store.js';
+import { getLensAspects } from './lenses.js';
+import { computeResonanceLinks } from './metrics.js';
+import { compareStages } from './development.js';
+import { selectMatchingIds } from './filters.js';
+import { getPalette, getNodeColor } from './themes.js';
+import { blendLayout, ringRadius, sectorAngle } from './layouts.js';
 
 /**
  * SVG namespace for creating SVG elements
@@ -17,293 +28,750 @@ import { getState } from './store.js';
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
 /**
- * Color mappings for different domains
+ * Base node radius before activation expansion (pixels)
+ */
+const NODE_BASE_RADIUS = 8;
+
+/**
+ * Id of the shared SVG blur filter used for activation glow
+ * (prefixed with the render's idPrefix, since ids are document-global)
+ */
+const GLOW_FILTER_ID = 'aspect-glow';
+
+/**
+ * Journal sparkline geometry (pixels, except the radius ratio)
+ */
+const SPARKLINE_RADIUS_RATIO = 0.76;  // Inside the node circle, clear of the labels
+const SPARKLINE_WIDTH = 28;
+const SPARKLINE_HEIGHT = 12;
+
+/**
+ * Stage-comparison arrow scale (colours come from the theme's delta palette)
  */
-const DOMAIN_COLORS = {
-  mind: '#FFD700',    // Gold for Mind aspects
-  body: '#FF6B6B',    // Coral for Body aspects  
-  soul: '#9D4EDD'     // Purple for Soul aspects
-};
+const DELTA_ARROW_SCALE = 0.6;   // Pixels per activation point of change
 
 /**
- * Stage colors (matching original gradient)
+ * Harmonic breathing offset: A * sin(2π * f * t), scaled by activation
+ * @param {number} frequency - Ring frequency (Hz)
+ * @param {number} activation - Activation (0-100); silent nodes barely breathe
+ * @param {Object} state - Current state (breathing clock and motion settings)
+ * @returns {number} Pixel offset
  */
-const STAGE_COLORS = [
-  '#4A90E2', // Stage 1 (blue)
-  '#5BA3F5', // Stage 2
-  '#6CB6FF', // Stage 3
-  '#7DC9FF', // Stage 4
-  '#8EDCFF', // Stage 5
-  '#9FEFFF', // Stage 6
-  '#B0F2FF', // Stage 7
-  '#C1F5FF'  // Stage 8
-];
+function breathingPulse(frequency, activation, state) {
+  if (state.reducedMotion) return 0;
+  const phase = 2 * Math.PI * frequency * VIS_CONFIG.BREATH_SCALE * state.breathTime;
+  const depth = 0.3 + 0.7 * Math.min(1, activation / 100);
+  return VIS_CONFIG.PULSE_AMPLITUDE * depth * Math.sin(phase);
+}
+
+/**
+ * Mounted element caches, one per SVG container
+ * Maps node key -> {el, attrs, text}
+ */
+const mountedScenes = new WeakMap();
+
+/**
+ * Round to two decimals so sub-pixel jitter does not cause DOM writes
+ */
+function fmt(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Create a scene node description
+ * @param {string} key - Stable unique key (identifies the element across frames)
+ * @param {string} tag - SVG element tag name
+ * @param {Object} attrs - Attributes
+ * @param {Object} content - {children} for groups or {text} for text content
+ * @returns {Object} Scene node
+ */
+function sceneNode(key, tag, attrs = {}, content = {}) {
+  return { key, tag, attrs, ...content };
+}
 
 /**
  * Render the main circular clock structure
+ * Elements are created on the first call and patched on later calls.
  * @param {SVGElement} svg - SVG container element
  * @param {number} width - SVG width
  * @param {number} height - SVG height
+ * @param {Object} state - State to render (defaults to the store state)
+ * @param {Object} options
+ * @param {string} [options.idPrefix=''] - Prefix for the SVG's element ids,
+ *   unique per clock when several share a document
  */
-export function renderClock(svg, width, height) {
+export function renderClock(svg, width, height, state = getState(), { idPrefix = '' } = {}) {
+  patchSVG(svg, describeClock(state, width, height, { idPrefix }));
+}
+
+/**
+ * Patch only what breathing moves: node, glow and label radii and the ring
+ * guides. For ticks where nothing but the breathing clock advanced, this
+ * skips building the scene (filters, resonance links) altogether; anything
+ * else needs renderClock(). Falls back to renderClock() before the first render.
+ * @param {SVGElement} svg - SVG container element
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {Object} state - State to render (defaults to the store state)
+ * @param {Object} options - As for renderClock()
+ */
+export function renderBreath(svg, width, height, state = getState(), options = {}) {
+  const cache = mountedScenes.get(svg);
+  if (!cache) {
+    renderClock(svg, width, height, state, options);
+    return;
+  }
+  const patch = (key, changes) => {
+    const entry = cache.get(key);
+    if (entry) patchAttributes(entry, { ...entry.attrs, ...changes });
+  };
+  
+  const radius = Math.min(width, height) * 0.4;
+  Object.values(HARMONIC_RINGS).forEach((ring, i) => patch(`ring-${i}`, { r: ringGuideRadius(state, ring, radius) }));
+  ASPECTS.forEach((aspect, i) => {
+    const node = cache.get(`node-${i}`);
+    if (!node) return;
+    const r = aspectRadius(state, i);
+    patch(`node-${i}`, { r: r });
+    patch(`glow-${i}`, { r: fmt(r * 1.8) });
+    patch(`label-${i}`, { y: fmt(node.attrs.cy + r + 17) });
+  });
+}
+
+/**
+ * Describe the whole clock as a list of scene nodes
+ * @param {Object} state - State to render
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {Object} options
+ * @param {string} [options.idPrefix=''] - Prefix for element ids (see renderClock())
+ * @returns {Array<Object>} Top-level scene nodes
+ */
+export function describeClock(state, width, height, { idPrefix = '' } = {}) {
   const cx = width / 2;
   const cy = height / 2;
   const radius = Math.min(width, height) * 0.4;
-  const state = getState();
-  
-  // Clear existing content
-  svg.innerHTML = '';
-  
-  // Create main group with transform for rotation
-  const mainGroup = createSVGElement('g', {
-    transform: `rotate(${state.rotation * 180 / Math.PI} ${cx} ${cy})`
-  });
+  const layers = [];
   
   // Render concentric rings if enabled
   if (state.showConcentricRings) {
-    renderConcentricRings(mainGroup, cx, cy, radius);
+    layers.push(sceneNode('rings', 'g', {}, { children: renderConcentricRings(state, cx, cy, radius) }));
+  }
+  
+  // Render stage sector dividers under the sector layout
+  if (state.layout === 'sectors') {
+    layers.push(sceneNode('sectors', 'g', {}, { children: renderSectorGuides(state, cx, cy, radius) }));
   }
   
   // Render cross-stage connections if enabled
   if (state.showCrossStage) {
-    renderCrossStageLinks(mainGroup, cx, cy, radius);
+    layers.push(sceneNode('cross-stage', 'g', {}, { children: renderCrossStageLinks(state, cx, cy, radius) }));
   }
   
   // Render resonance links if enabled
   if (state.showResonance) {
-    renderResonanceLinks(mainGroup, cx, cy, radius);
+    layers.push(sceneNode('resonance', 'g', {}, { children: renderResonanceLinks(state, cx, cy, radius) }));
+  }
+  
+  // Render journal trend sparklines when a timeline is loaded
+  if (state.trends) {
+    layers.push(sceneNode('trends', 'g', {}, { children: renderSparklines(state, cx, cy, radius) }));
+  }
+  
+  // Render the lifespan clock hand while it drives activations
+  if (state.devStage !== null && state.devStage !== undefined) {
+    layers.push(sceneNode('lifespan', 'g', {}, { children: renderLifespanHand(state, cx, cy, radius) }));
+  }
+  
+  // Render stage comparison arrows under the nodes
+  if (state.comparison) {
+    layers.push(sceneNode('comparison', 'g', {}, { children: renderComparison(state, cx, cy, radius) }));
   }
   
   // Render aspect nodes
-  renderAspects(mainGroup, cx, cy, radius);
+  layers.push(sceneNode('aspects', 'g', {}, { children: renderAspects(state, cx, cy, radius, idPrefix) }));
   
-  svg.appendChild(mainGroup);
+  const scene = [
+    // Shared definitions (activation glow filter)
+    createGlowDefs(idPrefix),
+    // Main group with transform for rotation
+    sceneNode('main', 'g', {
+      transform: `rotate(${fmt(state.rotation * 180 / Math.PI)} ${fmt(cx)} ${fmt(cy)})`
+    }, { children: layers })
+  ];
   
   // Render tutorial overlay if active
   if (state.tutorialActive) {
-    renderTutorial(svg, width, height);
+    scene.push(renderTutorial(state, width, height, idPrefix));
   }
+  
+  return scene;
+}
+
+/**
+ * Radius of an aspect node: selection, activation and breathing
+ */
+function aspectRadius(state, index) {
+  const value = state.aspects[index].value;
+  const isSelected = state.currentAspect === index;
+  const isHighlighted = state.highlightedElements.includes(index);
+  const baseRadius = isSelected ? NODE_BASE_RADIUS + 4 : (isHighlighted ? NODE_BASE_RADIUS + 2 : NODE_BASE_RADIUS);
+  const expansion = value * VIS_CONFIG.VALUE_EXPANSION;
+  return fmt(Math.max(2, baseRadius + expansion + breathingPulse(ASPECTS[index].frequency, value, state)));
+}
+
+/**
+ * Radius of a ring guide
+ * Each ring breathes at its own frequency, deepened by its mean activation.
+ */
+function ringGuideRadius(state, ring, radius) {
+  const ringActivation = ring.aspects.reduce((sum, id) => sum + state.aspects[id].value, 0) / ring.aspects.length;
+  return fmt(ringRadius(ring.index) * radius + breathingPulse(ring.freq, ringActivation, state));
 }
 
 /**
  * Render the 32 aspect nodes around the circle
  */
-function renderAspects(group, cx, cy, radius) {
-  const state = getState();
-  const angleStep = (2 * Math.PI) / 32;
+function renderAspects(state, cx, cy, radius, idPrefix) {
+  const lensAspects = getLensAspects(state.mode);
+  const nodes = [];
+  
+  // Roving tabindex: exactly one node is in the tab order
+  const tabStop = state.focusedAspect ?? state.currentAspect ?? 0;
+  
+  // Aspects outside the search / filter are dimmed
+  const matching = new Set(selectMatchingIds(state));
+  const palette = getPalette(state.theme);
   
   ASPECTS.forEach((aspect, i) => {
-    const angle = i * angleStep - Math.PI / 2; // Start at top
-    const x = cx + radius * Math.cos(angle);
-    const y = cy + radius * Math.sin(angle);
+    const view = lensAspects[i];
+    const position = getAspectPosition(i, cx, cy, radius, state);
+    const x = fmt(position.x);
+    const y = fmt(position.y);
     
     // Determine if aspect should be highlighted
     const isHighlighted = state.highlightedElements.includes(i);
     const isSelected = state.currentAspect === i;
-    const isFilteredRing = state.currentRing && HARMONIC_RINGS[state.currentRing].aspects.includes(i);
-    const isFilteredStage = state.currentStage && STAGES.find(s => s.name === state.currentStage).aspects.includes(i);
+    const opacity = matching.has(i) ? 1.0 : 0.2;
+    
+    // Activation drives node size and glow intensity
+    const value = state.aspects[i].value;
+    const nodeRadius = aspectRadius(state, i);
+    const fill = getNodeColor(state.theme, state.mode, view.colorPosition);
     
-    // Apply filters
-    const isVisible = !state.currentRing || isFilteredRing;
-    const isStageVisible = !state.currentStage || isFilteredStage;
-    const opacity = (isVisible && isStageVisible) ? 1.0 : 0.2;
+    // Activation glow halo (kept mounted, hidden while silent)
+    nodes.push(sceneNode(`glow-${i}`, 'circle', {
+      cx: x,
+      cy: y,
+      r: fmt(nodeRadius * 1.8),
+      fill: fill,
+      opacity: fmt(opacity * Math.min(1, value / 100) * 0.6),
+      filter: `url(#${idPrefix}${GLOW_FILTER_ID})`,
+      display: value > 0.5 ? 'inline' : 'none',
+      'pointer-events': 'none'
+    }));
     
-    // Aspect circle
-    const circle = createSVGElement('circle', {
+    // Aspect circle (tooltips come from the gesture layer)
+    nodes.push(sceneNode(`node-${i}`, 'circle', {
       cx: x,
       cy: y,
-      r: isSelected ? 12 : (isHighlighted ? 10 : 8),
-      fill: DOMAIN_COLORS[aspect.domain],
-      stroke: isSelected ? '#FFFFFF' : (isHighlighted ? '#FFD700' : '#333'),
+      r: nodeRadius,
+      fill: fill,
+      stroke: isSelected ? palette.selected : (isHighlighted ? palette.highlight : palette.nodeStroke),
       'stroke-width': isSelected ? 3 : (isHighlighted ? 2 : 1),
       opacity: opacity,
-      'data-aspect-index': i
-    });
-    
-    group.appendChild(circle);
+      'data-aspect-index': i,
+      tabindex: i === tabStop ? 0 : -1,
+      role: 'button',
+      'aria-pressed': String(isSelected),
+      // Target (not eased) activation, so the label does not churn while animating
+      'aria-label': `${view.label}, ${aspect.ringName} ring, ${aspect.stageName} stage, activation ${Math.round(state.aspects[i].targetValue)}`
+    }));
     
     // Aspect label
-    const label = createSVGElement('text', {
+    nodes.push(sceneNode(`label-${i}`, 'text', {
       x: x,
-      y: y + 25,
+      y: fmt(y + nodeRadius + 17),
       'text-anchor': 'middle',
       'font-size': '10px',
-      fill: '#FFFFFF',
+      fill: palette.label,
       opacity: opacity * 0.8,
       'pointer-events': 'none'
-    });
-    label.textContent = aspect.name;
-    
-    group.appendChild(label);
+    }, { text: view.label }));
   });
+  
+  return nodes;
+}
+
+/**
+ * Describe the <defs> block holding the activation glow filter
+ * @param {string} idPrefix - Prefix for the filter id
+ * @returns {Object} Scene node
+ */
+function createGlowDefs(idPrefix) {
+  const blur = sceneNode('glow-blur', 'feGaussianBlur', { stdDeviation: 4 });
+  const filter = sceneNode('glow-filter', 'filter', {
+    id: `${idPrefix}${GLOW_FILTER_ID}`,
+    x: '-50%',
+    y: '-50%',
+    width: '200%',
+    height: '200%'
+  }, { children: [blur] });
+  return sceneNode('defs', 'defs', {}, { children: [filter] });
 }
 
 /**
  * Render concentric rings for harmonic groupings
+ * Drawn at the concentric layout's ring radii, so the ring and sector
+ * layouts put each ring's nodes on its guide.
  */
-function renderConcentricRings(group, cx, cy, radius) {
-  const ringCount = Object.keys(HARMONIC_RINGS).length;
-  const ringStep = radius / (ringCount + 1);
+function renderConcentricRings(state, cx, cy, radius) {
+  const palette = getPalette(state.theme);
   
-  Object.values(HARMONIC_RINGS).forEach((ring, i) => {
-    const r = (i + 1) * ringStep;
-    const circle = createSVGElement('circle', {
-      cx: cx,
-      cy: cy,
-      r: r,
+  return Object.values(HARMONIC_RINGS).map((ring, i) => {
+    return sceneNode(`ring-${i}`, 'circle', {
+      cx: fmt(cx),
+      cy: fmt(cy),
+      r: ringGuideRadius(state, ring, radius),
       fill: 'none',
-      stroke: ring.color || '#555',
+      stroke: palette.rings[i],
       'stroke-width': 1,
       'stroke-dasharray': '5,5',
       opacity: 0.3
     });
-    group.appendChild(circle);
+  });
+}
+
+/**
+ * Render the 12 stage sector dividers
+ * Fades in while the sector layout animates into place.
+ */
+function renderSectorGuides(state, cx, cy, radius) {
+  const palette = getPalette(state.theme);
+  const reveal = state.layoutFrom ? Math.max(0, Math.min(1, state.layoutProgress)) : 1;
+  const halfSector = Math.PI / VIS_CONFIG.STAGE_COUNT;
+  const inner = ringRadius(0) * radius * 0.5;
+  
+  return STAGE_NAMES.map((name, s) => {
+    // Divider on the sector's leading edge (0 = top, clockwise)
+    const angle = sectorAngle(s) - halfSector - Math.PI / 2;
+    return sceneNode(`sector-${s}`, 'line', {
+      x1: fmt(cx + inner * Math.cos(angle)),
+      y1: fmt(cy + inner * Math.sin(angle)),
+      x2: fmt(cx + radius * Math.cos(angle)),
+      y2: fmt(cy + radius * Math.sin(angle)),
+      stroke: palette.stages[s],
+      'stroke-width': 1,
+      opacity: fmt(0.25 * reveal),
+      'pointer-events': 'none'
+    });
   });
 }
 
 /**
  * Render cross-stage connection lines
  */
-function renderCrossStageLinks(group, cx, cy, radius) {
-  const state = getState();
-  const angleStep = (2 * Math.PI) / 32;
+function renderCrossStageLinks(state, cx, cy, radius) {
+  const palette = getPalette(state.theme);
+  const lines = [];
   
   STAGES.forEach((stage, stageIndex) => {
     stage.crossStageLinks.forEach(link => {
-      const fromIndex = link.from;
-      const toIndex = link.to;
-      
-      const angle1 = fromIndex * angleStep - Math.PI / 2;
-      const angle2 = toIndex * angleStep - Math.PI / 2;
-      
-      const x1 = cx + radius * Math.cos(angle1);
-      const y1 = cy + radius * Math.sin(angle1);
-      const x2 = cx + radius * Math.cos(angle2);
-      const y2 = cy + radius * Math.sin(angle2);
+      const p1 = getAspectPosition(link.from, cx, cy, radius, state);
+      const p2 = getAspectPosition(link.to, cx, cy, radius, state);
       
-      const line = createSVGElement('line', {
-        x1: x1,
-        y1: y1,
-        x2: x2,
-        y2: y2,
-        stroke: STAGE_COLORS[stageIndex],
+      lines.push(sceneNode(`cross-${link.from}-${link.to}`, 'line', {
+        x1: fmt(p1.x),
+        y1: fmt(p1.y),
+        x2: fmt(p2.x),
+        y2: fmt(p2.y),
+        stroke: palette.stages[stageIndex],
         'stroke-width': 1,
         opacity: 0.2
-      });
-      
-      group.appendChild(line);
+      }));
     });
   });
+  
+  return lines;
 }
 
 /**
  * Render resonance links between aspects with similar activation
+ * Computed live from rendered values, so links fade in and out as
+ * activations ease toward their targets.
  */
-function renderResonanceLinks(group, cx, cy, radius) {
-  const angleStep = (2 * Math.PI) / 32;
+function renderResonanceLinks(state, cx, cy, radius) {
+  const values = state.aspects.map(aspect => aspect.value);
+  const palette = getPalette(state.theme);
   
-  // Find all resonance pairs from data
-  const resonancePairs = [];
-  ASPECTS.forEach((aspect, i) => {
-    if (aspect.resonanceLinks) {
-      aspect.resonanceLinks.forEach(targetIndex => {
-        // Avoid duplicates
-        if (i < targetIndex) {
-          resonancePairs.push([i, targetIndex]);
-        }
-      });
-    }
+  return computeResonanceLinks(values, state.resonanceThreshold).map(({ from, to, closeness }) => {
+    const p1 = getAspectPosition(from, cx, cy, radius, state);
+    const p2 = getAspectPosition(to, cx, cy, radius, state);
+    
+    // Closer activations draw stronger, wider links
+    return sceneNode(`resonance-${from}-${to}`, 'line', {
+      x1: fmt(p1.x),
+      y1: fmt(p1.y),
+      x2: fmt(p2.x),
+      y2: fmt(p2.y),
+      stroke: palette.resonance,
+      'stroke-width': fmt(0.5 + closeness * 2),
+      'stroke-dasharray': '2,2',
+      opacity: fmt(0.1 + closeness * 0.5)
+    });
   });
+}
+
+/**
+ * Render per-aspect activation sparklines from journal trends
+ * Each series is drawn inside its node on a 0-100 scale, with a dot marking
+ * the timeline position currently shown.
+ */
+function renderSparklines(state, cx, cy, radius) {
+  const lensAspects = getLensAspects(state.mode);
+  const palette = getPalette(state.theme);
+  const nodes = [];
   
-  resonancePairs.forEach(([from, to]) => {
-    const angle1 = from * angleStep - Math.PI / 2;
-    const angle2 = to * angleStep - Math.PI / 2;
+  state.trends.forEach((series, i) => {
+    if (series.length < 2) return;
+    const center = getAspectPosition(i, cx, cy, radius * SPARKLINE_RADIUS_RATIO, state);
+    const left = center.x - SPARKLINE_WIDTH / 2;
+    const xAt = (position) => left + (position / (series.length - 1)) * SPARKLINE_WIDTH;
+    const yAt = (value) => center.y + SPARKLINE_HEIGHT / 2 - (value / 100) * SPARKLINE_HEIGHT;
     
-    const x1 = cx + radius * Math.cos(angle1);
-    const y1 = cy + radius * Math.sin(angle1);
-    const x2 = cx + radius * Math.cos(angle2);
-    const y2 = cy + radius * Math.sin(angle2);
-    
-    const line = createSVGElement('line', {
-      x1: x1,
-      y1: y1,
-      x2: x2,
-      y2: y2,
-      stroke: '#00FFD4',
+    nodes.push(sceneNode(`trend-${i}`, 'polyline', {
+      points: series.map((value, n) => `${fmt(xAt(n))},${fmt(yAt(value))}`).join(' '),
+      fill: 'none',
+      stroke: getNodeColor(state.theme, state.mode, lensAspects[i].colorPosition),
       'stroke-width': 1,
-      'stroke-dasharray': '2,2',
-      opacity: 0.3
+      opacity: 0.8,
+      'pointer-events': 'none'
+    }));
+    
+    if (state.trendCursor !== null) {
+      const position = Math.min(series.length - 1, Math.max(0, state.trendCursor));
+      const lower = Math.floor(position);
+      const upper = Math.min(series.length - 1, lower + 1);
+      const value = series[lower] + (series[upper] - series[lower]) * (position - lower);
+      nodes.push(sceneNode(`trend-dot-${i}`, 'circle', {
+        cx: fmt(xAt(position)),
+        cy: fmt(yAt(value)),
+        r: 1.5,
+        fill: palette.label,
+        'pointer-events': 'none'
+      }));
+    }
+  });
+  
+  return nodes;
+}
+
+/**
+ * Render the lifespan clock hand
+ * The 12 stages divide the face into 30° sectors starting at the top; the
+ * hand sweeps through them as the developmental position advances.
+ */
+function renderLifespanHand(state, cx, cy, radius) {
+  const angle = (state.devStage / VIS_CONFIG.STAGE_COUNT) * 2 * Math.PI - Math.PI / 2;
+  const length = radius * 0.6;
+  const tipX = cx + length * Math.cos(angle);
+  const tipY = cy + length * Math.sin(angle);
+  const labelX = cx + (length + 18) * Math.cos(angle);
+  const labelY = cy + (length + 18) * Math.sin(angle);
+  const palette = getPalette(state.theme);
+  
+  return [
+    sceneNode('hand-line', 'line', {
+      x1: fmt(cx),
+      y1: fmt(cy),
+      x2: fmt(tipX),
+      y2: fmt(tipY),
+      stroke: palette.hand,
+      'stroke-width': 3,
+      'stroke-linecap': 'round',
+      opacity: 0.8,
+      'pointer-events': 'none'
+    }),
+    sceneNode('hand-hub', 'circle', {
+      cx: fmt(cx),
+      cy: fmt(cy),
+      r: 5,
+      fill: palette.hand,
+      'pointer-events': 'none'
+    }),
+    sceneNode('hand-label', 'text', {
+      x: fmt(labelX),
+      y: fmt(labelY + 4),
+      'text-anchor': 'middle',
+      'font-size': '12px',
+      fill: palette.hand,
+      'pointer-events': 'none'
+    }, { text: STAGE_NAMES[Math.round(state.devStage)] })
+  ];
+}
+
+/**
+ * Render the stage comparison as a diverging overlay
+ * Each aspect gets a radial arrow: outward in the theme's increase colour
+ * where stage B is stronger, inward in its decrease colour where it is
+ * weaker, longer for bigger changes. Node halos pick up the same colour.
+ */
+function renderComparison(state, cx, cy, radius) {
+  const result = compareStages(state.comparison.stageA, state.comparison.stageB);
+  if (!result) return [];
+  const palette = getPalette(state.theme);
+  const nodes = [];
+  
+  result.deltas.forEach(({ id, delta }) => {
+    if (delta === 0) return;
+    const color = delta > 0 ? palette.delta.increase : palette.delta.decrease;
+    const start = getAspectPosition(id, cx, cy, radius, state);
+    const end = getAspectPosition(id, cx, cy, radius, state, delta * DELTA_ARROW_SCALE);
+    
+    // Arrowhead: two short strokes back from the tip
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const head = Math.min(6, Math.abs(delta) * DELTA_ARROW_SCALE * 0.6);
+    const wing = (offset) => ({
+      x: end.x - head * Math.cos(angle + offset),
+      y: end.y - head * Math.sin(angle + offset)
     });
+    const left = wing(Math.PI / 6);
+    const right = wing(-Math.PI / 6);
     
-    group.appendChild(line);
+    nodes.push(sceneNode(`delta-halo-${id}`, 'circle', {
+      cx: fmt(start.x),
+      cy: fmt(start.y),
+      r: fmt(NODE_BASE_RADIUS + 6 + Math.abs(delta) * 0.1),
+      fill: 'none',
+      stroke: color,
+      'stroke-width': 2,
+      opacity: fmt(0.3 + Math.min(1, Math.abs(delta) / 50) * 0.6),
+      'pointer-events': 'none'
+    }));
+    nodes.push(sceneNode(`delta-arrow-${id}`, 'path', {
+      d: `M ${fmt(start.x)} ${fmt(start.y)} L ${fmt(end.x)} ${fmt(end.y)} M ${fmt(left.x)} ${fmt(left.y)} L ${fmt(end.x)} ${fmt(end.y)} L ${fmt(right.x)} ${fmt(right.y)}`,
+      fill: 'none',
+      stroke: color,
+      'stroke-width': 2,
+      'stroke-linecap': 'round',
+      'pointer-events': 'none'
+    }));
   });
+  
+  return nodes;
 }
 
+/**
+ * Id of the tutorial spotlight mask
+ */
+const SPOTLIGHT_MASK_ID = 'tutorial-spotlight';
+
 /**
  * Render tutorial overlay
+ * Dims the clock except for spotlighted (highlighted) nodes, and captions the
+ * current step. The overlay ignores the pointer so the user can act on the
+ * clock while a step waits for them; step controls live outside the SVG.
  */
-function renderTutorial(svg, width, height) {
-  const overlay = createSVGElement('rect', {
+function renderTutorial(state, width, height, idPrefix) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const radius = Math.min(width, height) * 0.4;
+  const step = state.tutorialStep;
+  const palette = getPalette(state.theme);
+  
+  // Holes follow the nodes as the clock turns
+  const holes = state.highlightedElements.map(i => {
+    const p = getAspectPosition(i, cx, cy, radius, state);
+    const cos = Math.cos(state.rotation);
+    const sin = Math.sin(state.rotation);
+    return sceneNode(`spotlight-hole-${i}`, 'circle', {
+      cx: fmt(cx + (p.x - cx) * cos - (p.y - cy) * sin),
+      cy: fmt(cy + (p.x - cx) * sin + (p.y - cy) * cos),
+      r: 28,
+      fill: '#000000'
+    });
+  });
+  
+  const mask = sceneNode('spotlight-mask', 'mask', { id: `${idPrefix}${SPOTLIGHT_MASK_ID}` }, {
+    children: [
+      sceneNode('spotlight-base', 'rect', { x: 0, y: 0, width: width, height: height, fill: '#FFFFFF' }),
+      ...holes
+    ]
+  });
+  
+  const overlay = sceneNode('tutorial-overlay', 'rect', {
     x: 0,
     y: 0,
     width: width,
     height: height,
-    fill: '#000000',
-    opacity: 0.7
+    fill: palette.overlay,
+    opacity: 0.55,
+    mask: `url(#${idPrefix}${SPOTLIGHT_MASK_ID})`,
+    'pointer-events': 'none'
   });
   
-  const tutorialBox = createSVGElement('rect', {
-    x: width * 0.2,
-    y: height * 0.3,
-    width: width * 0.6,
-    height: height * 0.4,
-    fill: '#1E1E1E',
-    stroke: '#FFD700',
-    'stroke-width': 2,
-    rx: 10
-  });
-  
-  const tutorialText = createSVGElement('text', {
+  const caption = sceneNode('tutorial-text', 'text', {
     x: width * 0.5,
-    y: height * 0.4,
+    y: 32,
     'text-anchor': 'middle',
     'font-size': '16px',
-    fill: '#FFFFFF'
+    fill: palette.caption,
+    'pointer-events': 'none'
+  }, {
+    text: step
+      ? `Step ${step.index + 1} of ${step.total} · ${step.title}`
+      : 'Welcome to the 32-Aspect Self Clock'
   });
-  tutorialText.textContent = 'Welcome to the 32-Aspect Self Clock';
   
-  svg.appendChild(overlay);
-  svg.appendChild(tutorialBox);
-  svg.appendChild(tutorialText);
+  return sceneNode('tutorial', 'g', {}, {
+    children: [sceneNode('tutorial-defs', 'defs', {}, { children: [mask] }), overlay, caption]
+  });
 }
 
 /**
- * Create an SVG element with attributes
- * @param {string} tag - SVG element tag name
- * @param {Object} attrs - Attributes to set
- * @returns {SVGElement}
+ * Render a standalone SVG document from a state object, without a DOM
+ * Uses the same scene description as the live renderer, so the output
+ * matches the page (minus CSS backgrounds, hence the background option,
+ * which defaults to the state's theme background).
+ * @param {Object} state - State to render (store state or snapshotToState() result)
+ * @param {Object} options
+ * @param {number} [options.width=800] - Image width
+ * @param {number} [options.height=800] - Image height
+ * @param {string|null} [options.background] - Backdrop fill, or null for transparent
+ * @param {string} [options.idPrefix=''] - Prefix for element ids (see renderClock())
+ * @returns {string} SVG markup
+ */
+export function renderClockToString(state, {
+  width = 800,
+  height = 800,
+  background = getPalette(state.theme).background,
+  idPrefix = ''
+} = {}) {
+  const backdrop = background
+    ? `<rect width="${width}" height="${height}" fill="${escapeXML(background)}"/>`
+    : '';
+  const body = describeClock(state, width, height, { idPrefix }).map(serializeNode).join('');
+  return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${backdrop}${body}</svg>`;
+}
+
+/**
+ * Serialize one scene node (hidden nodes are left out)
+ */
+function serializeNode(node) {
+  if (node.attrs.display === 'none') return '';
+  const attrs = Object.entries(node.attrs)
+    .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+    .join('');
+  const content = node.children
+    ? node.children.map(serializeNode).join('')
+    : escapeXML(node.text ?? '');
+  return content
+    ? `<${node.tag}${attrs}>${content}</${node.tag}>`
+    : `<${node.tag}${attrs}/>`;
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Patch an SVG container to match a scene description
+ * Elements are created the first time their key appears, re-ordered only
+ * when needed, and otherwise updated attribute by attribute.
+ * @param {SVGElement} svg - SVG container element
+ * @param {Array<Object>} scene - Top-level scene nodes
  */
-function createSVGElement(tag, attrs = {}) {
-  const element = document.createElementNS(SVG_NS, tag);
+export function patchSVG(svg, scene) {
+  let cache = mountedScenes.get(svg);
+  if (!cache) {
+    cache = new Map();
+    mountedScenes.set(svg, cache);
+    svg.innerHTML = '';
+  }
+  patchChildren(svg, scene, cache);
+}
+
+/**
+ * Patch the children of one element in order
+ */
+function patchChildren(parent, nodes, cache) {
+  let previous = null;
+  
+  nodes.forEach(node => {
+    let entry = cache.get(node.key);
+    if (!entry) {
+      entry = { el: document.createElementNS(SVG_NS, node.tag), attrs: {}, text: undefined };
+      cache.set(node.key, entry);
+    }
+    
+    patchAttributes(entry, node.attrs);
+    if (node.text !== undefined && node.text !== entry.text) {
+      entry.el.textContent = node.text;
+      entry.text = node.text;
+    }
+    if (node.children) {
+      patchChildren(entry.el, node.children, cache);
+    }
+    
+    // Keep document order (z-order) in step with the scene
+    const expected = previous ? previous.nextSibling : parent.firstChild;
+    if (entry.el !== expected) {
+      parent.insertBefore(entry.el, expected);
+    }
+    previous = entry.el;
+  });
+  
+  // Detach whatever the scene no longer contains (cached for reuse)
+  let extra = previous ? previous.nextSibling : parent.firstChild;
+  while (extra) {
+    const next = extra.nextSibling;
+    parent.removeChild(extra);
+    extra = next;
+  }
+}
+
+/**
+ * Write only the attributes whose values changed
+ */
+function patchAttributes(entry, attrs) {
   Object.entries(attrs).forEach(([key, value]) => {
-    element.setAttribute(key, value);
+    if (entry.attrs[key] !== value) {
+      entry.el.setAttribute(key, value);
+      entry.attrs[key] = value;
+    }
+  });
+  Object.keys(entry.attrs).forEach(key => {
+    if (!(key in attrs)) {
+      entry.el.removeAttribute(key);
+      delete entry.attrs[key];
+    }
   });
-  return element;
 }
 
 /**
  * Get aspect position for external use
+ * Follows the state's layout, including a layout switch in progress.
+ * Positions are before the clock's rotation.
  * @param {number} index - Aspect index (0-31)
  * @param {number} cx - Center X
  * @param {number} cy - Center Y  
- * @param {number} radius - Circle radius
+ * @param {number} radius - Clock radius
+ * @param {Object} state - State whose layout to use (defaults to the store state)
+ * @param {number} offset - Extra distance outward from the centre (pixels; negative is inward)
  * @returns {Object} Position {x, y}
  */
-export function getAspectPosition(index, cx, cy, radius) {
-  const angleStep = (2 * Math.PI) / 32;
-  const angle = index * angleStep - Math.PI / 2;
+export function getAspectPosition(index, cx, cy, radius, state = getState(), offset = 0) {
+  const { angle, r } = blendLayout(state, index);
+  const distance = radius * r + offset;
   return {
-    x: cx + radius * Math.cos(angle),
-    y: cy + radius * Math.sin(angle)
+    x: cx + distance * Math.cos(angle - Math.PI / 2),
+    y: cy + distance * Math.sin(angle - Math.PI / 2)
   };
 }
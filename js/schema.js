@@ -0,0 +1,266 @@
+/**
+ * @module schema
+ * @description Versioned snapshot format for the 32-Aspect Self Clock Interactive (SCI)
+ * Builds exportable snapshots from store state, migrates older files to the
+ * current schema and validates them before anything touches the store.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, VIS_CONFIG, getRing, getStage } from './data.js';
+import { LENSES } from './lenses.js';
+import { DEFAULT_FILTER, validateFilter } from './filters.js';
+
+/**
+ * Current snapshot schema version
+ * 1 - legacy export (aspect object, ring, stage, mode; no version field)
+ * 2 - selection, display toggles, activations and resonance threshold
+ * 3 - filter (query, rings, stages, activation range, tags, sort)
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Display toggles persisted in snapshots
+ */
+export const DISPLAY_OPTIONS = ['showResonance', 'showCrossStage', 'showConcentricRings'];
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each returns data shaped for the next version.
+ */
+const MIGRATIONS = {
+  1: (data) => {
+    let aspect = null;
+    if (data.aspect && typeof data.aspect === 'object') {
+      // Prefer the id; fall back to the name for hand-edited files
+      const byName = ASPECTS.find(a => a.name === data.aspect.name);
+      aspect = Number.isInteger(data.aspect.id) ? data.aspect.id : (byName ? byName.id : null);
+    }
+    return {
+      schemaVersion: 2,
+      timestamp: data.timestamp,
+      project: data.project,
+      author: data.author,
+      mode: data.mode,
+      selection: {
+        aspect: aspect,
+        ring: data.ring ?? null,
+        stage: data.stage ?? null
+      }
+    };
+  },
+
+  // Version 2 carried a single ring / stage; that is the whole filter
+  2: (data) => ({
+    ...data,
+    schemaVersion: 3,
+    filter: {
+      ...DEFAULT_FILTER,
+      rings: data.selection && data.selection.ring ? [data.selection.ring] : [],
+      stages: data.selection && data.selection.stage ? [data.selection.stage] : []
+    }
+  })
+};
+
+/**
+ * Filter fields persisted in snapshots, in DEFAULT_FILTER order
+ */
+const FILTER_FIELDS = Object.keys(DEFAULT_FILTER);
+
+/**
+ * Build a snapshot of the persistent parts of store state
+ * @param {Object} state - Store state (see store.getState())
+ * @returns {Object} Snapshot at SCHEMA_VERSION
+ */
+export function createSnapshot(state) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    project: 'Self Clock Interactive - Kinetic Imperative',
+    author: 'Adrian Lei Martinez-Conol',
+    timestamp: new Date().toISOString(),
+    mode: state.mode,
+    selection: {
+      aspect: state.currentAspect,
+      ring: state.currentRing,
+      stage: state.currentStage
+    },
+    filter: state.filter
+      ? Object.fromEntries(FILTER_FIELDS.map(field => [field, state.filter[field]]))
+      : { ...DEFAULT_FILTER },
+    display: Object.fromEntries(DISPLAY_OPTIONS.map(option => [option, state[option]])),
+    resonanceThreshold: state.resonanceThreshold,
+    activations: state.aspects.map(aspect => Math.round(aspect.targetValue * 100) / 100)
+  };
+}
+
+/**
+ * Build a settled, renderable state from a validated snapshot
+ * Rotation sits on the selected aspect and motion is frozen, so rendering
+ * the result is deterministic (used for headless image export).
+ * @param {Object} snapshot - Snapshot at SCHEMA_VERSION (see parseSnapshot())
+ * @returns {Object} State with the fields the renderer reads
+ */
+export function snapshotToState(snapshot) {
+  const { aspect, ring, stage } = snapshot.selection;
+  const rotation = aspect !== null ? aspect * (2 * Math.PI) / VIS_CONFIG.ASPECT_COUNT : 0;
+  const activations = snapshot.activations || ASPECTS.map(() => 0);
+  const filter = snapshot.filter
+    ? { ...DEFAULT_FILTER, ...snapshot.filter }
+    : { ...DEFAULT_FILTER, rings: ring ? [ring] : [], stages: stage ? [stage] : [] };
+  return {
+    currentAspect: aspect,
+    currentRing: filter.rings.length === 1 ? filter.rings[0] : null,
+    currentStage: filter.stages.length === 1 ? filter.stages[0] : null,
+    filter: filter,
+    rotation: rotation,
+    targetRotation: rotation,
+    velocity: 0,
+    breathTime: 0,
+    tempo: 1,
+    breathingPaused: true,
+    reducedMotion: true,
+    aspects: ASPECTS.map((a, i) => ({ ...a, value: activations[i], targetValue: activations[i] })),
+    tutorialActive: false,
+    highlightedElements: [],
+    mode: snapshot.mode,
+    showResonance: true,
+    showCrossStage: true,
+    showConcentricRings: true,
+    ...(snapshot.display || {}),
+    resonanceThreshold: snapshot.resonanceThreshold ?? VIS_CONFIG.RESONANCE_THRESHOLD
+  };
+}
+
+/**
+ * Upgrade a parsed snapshot to SCHEMA_VERSION
+ * @param {Object} data - Parsed snapshot of any known version
+ * @returns {{data: Object|null, errors: Array<string>}}
+ */
+export function migrateSnapshot(data) {
+  const version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return { data: null, errors: [`schemaVersion: expected a positive integer, got ${JSON.stringify(version)}`] };
+  }
+  if (version > SCHEMA_VERSION) {
+    return { data: null, errors: [`schemaVersion ${version} is newer than this app supports (${SCHEMA_VERSION})`] };
+  }
+
+  let migrated = data;
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return { data: migrated, errors: [] };
+}
+
+/**
+ * Validate a snapshot at SCHEMA_VERSION
+ * `filter`, `display`, `activations` and `resonanceThreshold` are optional
+ * (a partial filter leaves the other fields at their defaults); everything
+ * present must be valid.
+ * @param {Object} data - Migrated snapshot
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateSnapshot(data) {
+  const errors = [];
+
+  if (!Object.prototype.hasOwnProperty.call(LENSES, data.mode)) {
+    errors.push(`mode: expected one of ${Object.keys(LENSES).join(', ')}, got ${JSON.stringify(data.mode)}`);
+  }
+
+  const selection = data.selection;
+  if (!selection || typeof selection !== 'object') {
+    errors.push('selection: missing or not an object');
+  } else {
+    const { aspect, ring, stage } = selection;
+    if (aspect !== null && !(Number.isInteger(aspect) && aspect >= 0 && aspect < VIS_CONFIG.ASPECT_COUNT)) {
+      errors.push(`selection.aspect: expected null or an index 0-${VIS_CONFIG.ASPECT_COUNT - 1}, got ${JSON.stringify(aspect)}`);
+    }
+    if (ring !== null && !getRing(ring)) {
+      errors.push(`selection.ring: unknown ring ${JSON.stringify(ring)}`);
+    }
+    if (stage !== null && !getStage(stage)) {
+      errors.push(`selection.stage: unknown stage ${JSON.stringify(stage)}`);
+    }
+  }
+
+  if (data.filter !== undefined) {
+    if (!data.filter || typeof data.filter !== 'object' || Array.isArray(data.filter)) {
+      errors.push('filter: expected an object');
+    } else {
+      Object.keys(data.filter).filter(field => !FILTER_FIELDS.includes(field))
+        .forEach(field => errors.push(`filter.${field}: unknown filter field`));
+      const lens = Object.prototype.hasOwnProperty.call(LENSES, data.mode) ? data.mode : null;
+      validateFilter(data.filter, lens).forEach(error => errors.push(`filter.${error}`));
+      const { minActivation = 0, maxActivation = 100 } = data.filter;
+      if (minActivation > maxActivation) {
+        errors.push(`filter: minActivation ${minActivation} is above maxActivation ${maxActivation}`);
+      }
+    }
+  }
+
+  if (data.display !== undefined) {
+    if (!data.display || typeof data.display !== 'object') {
+      errors.push('display: expected an object');
+    } else {
+      Object.entries(data.display).forEach(([option, value]) => {
+        if (!DISPLAY_OPTIONS.includes(option)) {
+          errors.push(`display.${option}: unknown display option`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`display.${option}: expected true or false, got ${JSON.stringify(value)}`);
+        }
+      });
+    }
+  }
+
+  if (data.resonanceThreshold !== undefined) {
+    const threshold = data.resonanceThreshold;
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      errors.push(`resonanceThreshold: expected a number 0-100, got ${JSON.stringify(threshold)}`);
+    }
+  }
+
+  if (data.activations !== undefined) {
+    if (!Array.isArray(data.activations) || data.activations.length !== VIS_CONFIG.ASPECT_COUNT) {
+      errors.push(`activations: expected an array of ${VIS_CONFIG.ASPECT_COUNT} numbers`);
+    } else {
+      data.activations.forEach((value, i) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+          errors.push(`activations[${i}]: expected a number 0-100, got ${JSON.stringify(value)}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse, migrate and validate an exported snapshot
+ * @param {string|Object} input - JSON text or already-parsed object
+ * @returns {{ok: boolean, snapshot: Object|null, errors: Array<string>}}
+ */
+export function parseSnapshot(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { ok: false, snapshot: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, snapshot: null, errors: ['Expected a JSON object'] };
+  }
+
+  const migration = migrateSnapshot(data);
+  if (migration.errors.length) {
+    return { ok: false, snapshot: null, errors: migration.errors };
+  }
+
+  const errors = validateSnapshot(migration.data);
+  return errors.length
+    ? { ok: false, snapshot: null, errors }
+    : { ok: true, snapshot: migration.data, errors: [] };
+}
@@ -3,223 +3,1064 @@
  * @description Centralized state management for the 32-Aspect Self Clock Interactive (SCI)
  * Implements physics-based transitions with Harmonic Rings and Stages
  * 
+ * createStore() makes an isolated store (one per embedded clock); the
+ * module-level functions act on a default store used by the page app.
+ * 
  * @author Adrian Lei Martinez-Conol
  * @project Only When Prompted Research Initiative
  * @framework Kinetic Imperative - Self Clock Interactive
  */
 
-import { ASPECTS, HARMONIC_RINGS, STAGES } from './data.js';
+import { ASPECTS, STAGE_NAMES, getRing, getStage, generateAspects, VIS_CONFIG } from './data.js';
+import { LENSES } from './lenses.js';
+import { createSnapshot, parseSnapshot, DISPLAY_OPTIONS } from './schema.js';
+import { createHistory } from './history.js';
+import { DEFAULT_FILTER, validateFilter, describeFilter, keepLensTags } from './filters.js';
+import { DEFAULT_THEME, isTheme } from './themes.js';
+import { DEFAULT_LAYOUT, LAYOUT_TRANSITION_SECONDS, isLayout, blendLayout } from './layouts.js';
+import { developmentalActivations, DEFAULT_STAGE_WEIGHTS, MIN_STAGE_WEIGHT, MAX_STAGE_WEIGHT } from './development.js';
 
 /**
- * Application state store
- * Manages current selections and physics state
+ * Activation bounds shared by all per-aspect values
  */
-const store = {
-  // Current active selections
-  currentAspect: null,          // Currently selected aspect (0-31)
-  currentRing: null,            // Currently active harmonic ring
-  currentStage: null,           // Currently active developmental stage
-  
-  // Physics state
-  rotation: 0,                  // Current rotation angle (radians)
-  targetRotation: 0,            // Target rotation for smooth transitions
-  velocity: 0,                  // Angular velocity
-  
-  // UI state
-  tutorialActive: false,        // Tutorial overlay state
-  highlightedElements: [],      // Currently highlighted aspects/connections
-  
-  // Mode toggles
-  mode: 'mind',                 // Current view mode: 'mind', 'body', or 'soul'
-  showResonance: true,          // Display resonance links
-  showCrossStage: true,         // Display cross-stage connections
-  showConcentricRings: true,    // Display concentric ring groupings
-};
+const MIN_ACTIVATION = 0;
+const MAX_ACTIVATION = 100;
 
 /**
- * State update listeners
- * Functions registered here will be called when state changes
+ * Display option names used in the action log
  */
-const listeners = [];
+const DISPLAY_LABELS = {
+  showResonance: 'resonance links',
+  showCrossStage: 'cross-stage links',
+  showConcentricRings: 'concentric rings'
+};
 
 /**
- * Register a listener function to be called on state updates
- * @param {Function} callback - Function to call when state changes
+ * Clamp an activation into the supported range
+ * @param {number} value - Raw activation value
+ * @returns {number} Value clamped to [0, 100]
  */
-export function subscribe(callback) {
-  listeners.push(callback);
-  return () => {
-    const index = listeners.indexOf(callback);
-    if (index > -1) listeners.splice(index, 1);
-  };
+function clampActivation(value) {
+  return Math.min(MAX_ACTIVATION, Math.max(MIN_ACTIVATION, value));
 }
 
 /**
- * Notify all listeners of state change
+ * Thresholds below which motion counts as settled
  */
-function notify() {
-  listeners.forEach(callback => callback(store));
-}
+const SETTLE_ROTATION = 1e-4;   // radians (and radians/second for velocity)
+const SETTLE_VALUE = 0.01;      // activation units
 
 /**
- * Get current state (read-only)
- * @returns {Object} Current application state
+ * Free-spin physics after a drag
  */
-export function getState() {
-  return { ...store };
-}
+const COAST_FRICTION = 0.95;    // Velocity kept per 60fps frame
+const COAST_STOP = 0.02;        // radians/second below which coasting ends
+const MAX_SPIN = 12;            // radians/second cap on released velocity
 
 /**
- * Set current aspect and trigger physics-based transition
- * @param {number|null} aspectIndex - Index of aspect to select (0-31) or null to deselect
+ * Viewport bounds
  */
-export function setAspect(aspectIndex) {
-  if (aspectIndex !== null && (aspectIndex < 0 || aspectIndex >= 32)) {
-    console.warn(`Invalid aspect index: ${aspectIndex}`);
-    return;
-  }
-  
-  store.currentAspect = aspectIndex;
-  
-  // Calculate target rotation for smooth transition
-  if (aspectIndex !== null) {
-    const anglePerAspect = (2 * Math.PI) / 32;
-    store.targetRotation = aspectIndex * anglePerAspect;
-  }
-  
-  notify();
-}
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
 
 /**
- * Set current harmonic ring filter
- * @param {string|null} ringName - Name of harmonic ring or null for all
+ * Breathing tick while nothing else moves (milliseconds)
+ * The pulse is a few pixels at under 3 Hz, so 15 updates a second look
+ * smooth without keeping the animation frame loop awake.
  */
-export function setRing(ringName) {
-  if (ringName !== null && !HARMONIC_RINGS[ringName]) {
-    console.warn(`Invalid ring name: ${ringName}`);
-    return;
-  }
-  
-  store.currentRing = ringName;
-  notify();
-}
+export const BREATH_INTERVAL_MS = 1000 / 15;
 
 /**
- * Set current developmental stage filter
- * @param {string|null} stageName - Name of stage or null for all
+ * Whether a state's nodes are breathing
+ * @param {Object} state - Store state
+ * @returns {boolean}
  */
-export function setStage(stageName) {
-  if (stageName !== null && !STAGES.find(s => s.name === stageName)) {
-    console.warn(`Invalid stage name: ${stageName}`);
-    return;
-  }
-  
-  store.currentStage = stageName;
-  notify();
+export function isBreathing(state) {
+  return !state.breathingPaused && !state.reducedMotion;
 }
 
 /**
- * Set view mode
- * @param {string} mode - View mode: 'mind', 'body', or 'soul'
+ * Wrap an angle into [0, 2π)
+ * @param {number} angle - Angle (radians)
+ * @returns {number}
  */
-export function setMode(mode) {
-  const validModes = ['mind', 'body', 'soul'];
-  if (!validModes.includes(mode)) {
-    console.warn(`Invalid mode: ${mode}`);
-    return;
-  }
-  
-  store.mode = mode;
-  notify();
+function normalizeAngle(angle) {
+  const wrapped = angle % (2 * Math.PI);
+  return wrapped < 0 ? wrapped + 2 * Math.PI : wrapped;
 }
 
 /**
- * Toggle tutorial overlay
- * @param {boolean} active - Tutorial state
+ * Create an isolated store
+ * Each store has its own state, history and listeners, so several clocks
+ * can share a page; the module-level functions below use a default store.
+ * @param {Object} options - Initial state (validated; invalid values are ignored)
+ * @param {string} [options.mode] - Lens id
+ * @param {Array<number>} [options.activations] - 32 target activations (0-100)
+ * @param {string} [options.theme] - Theme id
+ * @param {string} [options.layout] - Layout id
+ * @returns {Object} Store API (the same functions this module exports)
  */
-export function setTutorial(active) {
-  store.tutorialActive = active;
-  notify();
-}
+export function createStore(options = {}) {
+  /**
+   * Application state store
+   * Manages current selections and physics state
+   */
+  const store = {
+    // Current active selections
+    currentAspect: null,          // Currently selected aspect (0-31)
+    currentRing: null,            // Single ring filtered on (mirrors filter.rings), or null
+    currentStage: null,           // Single stage filtered on (mirrors filter.stages), or null
+    filter: DEFAULT_FILTER,       // Search / filter / sort model (replaced, never mutated)
+    focusedAspect: null,          // Aspect holding keyboard focus (roving tabindex), or null
+    comparison: null,             // Stage comparison {stageA, stageB}, or null
+    
+    // Physics state
+    rotation: 0,                  // Current rotation angle (radians)
+    targetRotation: 0,            // Target rotation for smooth transitions
+    velocity: 0,                  // Angular velocity
+    coasting: false,              // Spinning freely after a drag (friction instead of spring)
+    
+    // Viewport
+    layout: DEFAULT_LAYOUT,       // Node layout id (see layouts.js)
+    layoutFrom: null,             // Points being left during a layout switch, or null
+    layoutProgress: 1,            // Layout switch progress (0-1)
+    zoom: 1,                      // Magnification (0.5-4)
+    panX: 0,                      // View centre offset from the clock centre,
+    panY: 0,                      //   as a fraction of the clock width / height
+    
+    // Harmonic breathing
+    breathTime: 0,                // Breathing clock (seconds, scaled by tempo)
+    tempo: 1,                     // Global breathing tempo multiplier
+    breathingPaused: false,       // Facilitator pause
+    reducedMotion: false,         // Honour prefers-reduced-motion
+    
+    // Activation state
+    aspects: generateAspects(),   // 32 kinetic nodes (value eases toward targetValue)
+    
+    // Developmental lifespan
+    devStage: null,               // Clock hand position (0-11, fractional), or null when not driving activations
+    stageWeights: [...DEFAULT_STAGE_WEIGHTS],  // Stage emphasis multipliers (one per stage)
+    
+    // Journal timeline (not part of snapshots or history)
+    trends: null,                 // Per-aspect activation series for sparklines, or null
+    trendCursor: null,            // Fractional timeline position being shown
+    
+    // UI state
+    tutorialActive: false,        // Tutorial overlay state
+    tutorialStep: null,           // Current tutorial step {index, total, title, detail, hint, waiting}
+    highlightedElements: [],      // Currently highlighted aspects/connections
+    
+    // Mode toggles
+    mode: 'mind',                 // Current view mode: 'mind', 'body', or 'soul'
+    showResonance: true,          // Display resonance links
+    resonanceThreshold: VIS_CONFIG.RESONANCE_THRESHOLD,  // Max activation difference for a link
+    showCrossStage: true,         // Display cross-stage connections
+    showConcentricRings: true,    // Display concentric ring groupings
+    theme: DEFAULT_THEME,         // Colour theme id (a viewer preference: not in snapshots or history)
+  };
 
-/**
- * Toggle display options
- * @param {string} option - Option name
- * @param {boolean} value - Option value
- */
-export function toggleDisplay(option, value) {
-  const validOptions = ['showResonance', 'showCrossStage', 'showConcentricRings'];
-  if (!validOptions.includes(option)) {
-    console.warn(`Invalid display option: ${option}`);
-    return;
+  /**
+   * Capture the undoable parts of state
+   * Selection, lens, display options, threshold and target activations;
+   * physics, breathing and tutorial state are not part of history.
+   * @returns {Object} Plain history entry
+   */
+  function captureHistoryState() {
+    return {
+      currentAspect: store.currentAspect,
+      currentRing: store.currentRing,
+      currentStage: store.currentStage,
+      filter: store.filter,
+      targetRotation: store.targetRotation,
+      mode: store.mode,
+      display: Object.fromEntries(DISPLAY_OPTIONS.map(option => [option, store[option]])),
+      resonanceThreshold: store.resonanceThreshold,
+      devStage: store.devStage,
+      stageWeights: store.stageWeights.slice(),
+      activations: store.aspects.map(aspect => aspect.targetValue)
+    };
   }
-  
-  store[option] = value;
-  notify();
-}
 
-/**
- * Update physics state (called by animation loop)
- * @param {number} deltaTime - Time since last update (seconds)
- */
-export function updatePhysics(deltaTime) {
-  // Smooth rotation transition using spring physics
-  const diff = store.targetRotation - store.rotation;
-  const springForce = diff * 5.0; // Spring constant
-  const damping = store.velocity * 2.0; // Damping factor
-  
-  store.velocity += (springForce - damping) * deltaTime;
-  store.rotation += store.velocity * deltaTime;
-  
-  // Normalize rotation to [0, 2π]
-  store.rotation = store.rotation % (2 * Math.PI);
-  if (store.rotation < 0) store.rotation += 2 * Math.PI;
+  /**
+   * Restore a history entry captured by captureHistoryState()
+   * @param {Object} entry - History entry
+   */
+  function restoreHistoryState(entry) {
+    store.currentAspect = entry.currentAspect;
+    store.currentRing = entry.currentRing;
+    store.currentStage = entry.currentStage;
+    store.filter = entry.filter;
+    store.targetRotation = entry.targetRotation;
+    store.mode = entry.mode;
+    Object.assign(store, entry.display);
+    store.resonanceThreshold = entry.resonanceThreshold;
+    store.devStage = entry.devStage;
+    store.stageWeights = entry.stageWeights.slice();
+    store.aspects.forEach((aspect, i) => {
+      aspect.targetValue = entry.activations[i];
+    });
+    store.highlightedElements = [];
+  }
+
+  // Initial state from options, before the history baseline is taken
+  if (options.mode !== undefined) {
+    if (Object.prototype.hasOwnProperty.call(LENSES, options.mode)) store.mode = options.mode;
+    else console.warn(`Invalid mode: ${options.mode}`);
+  }
+  if (options.activations !== undefined) {
+    if (Array.isArray(options.activations) && options.activations.length === store.aspects.length
+      && options.activations.every(Number.isFinite)) {
+      store.aspects.forEach((aspect, i) => {
+        aspect.targetValue = clampActivation(options.activations[i]);
+      });
+    } else {
+      console.warn(`Invalid activations: expected ${store.aspects.length} numbers`);
+    }
+  }
+  if (options.theme !== undefined) {
+    if (isTheme(options.theme)) store.theme = options.theme;
+    else console.warn(`Invalid theme: ${options.theme}`);
+  }
+  if (options.layout !== undefined) {
+    if (isLayout(options.layout)) store.layout = options.layout;
+    else console.warn(`Invalid layout: ${options.layout}`);
+  }
   
-  notify();
-}
+  /**
+   * Undo/redo timeline, starting from the initial state
+   */
+  const timeline = createHistory(captureHistoryState());
 
-/**
- * Set highlighted elements for visual feedback
- * @param {Array<number>} elements - Array of aspect indices to highlight
- */
-export function setHighlights(elements) {
-  store.highlightedElements = elements;
-  notify();
-}
+  /**
+   * Record the current state in history after an undoable action
+   * @param {string} label - Action log text
+   * @param {string|null} coalesceKey - Merge repeated edits with the same key
+   */
+  function record(label, coalesceKey = null) {
+    timeline.push(label, captureHistoryState(), coalesceKey);
+  }
 
-/**
- * Shuffle to random aspect (for "Shuffle" button)
- */
-export function shuffle() {
-  const randomIndex = Math.floor(Math.random() * 32);
-  setAspect(randomIndex);
-}
+  /**
+   * State update listeners
+   * Functions registered here will be called when state changes
+   */
+  const listeners = [];
 
-/**
- * Deactivate all filters and selections
- */
-export function deactivateAll() {
-  store.currentAspect = null;
-  store.currentRing = null;
-  store.currentStage = null;
-  store.highlightedElements = [];
-  notify();
+  /**
+   * Register a listener function to be called on state updates
+   * @param {Function} callback - Called as callback(state, action) where action is
+   *   the name of the store function that changed state ('updatePhysics' for frames,
+   *   'breathe' for ticks where only the breathing clock advanced)
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribe(callback) {
+    listeners.push(callback);
+    return () => {
+      const index = listeners.indexOf(callback);
+      if (index > -1) listeners.splice(index, 1);
+    };
+  }
+
+  /**
+   * Notify all listeners of state change
+   * @param {string} action - Name of the action that changed state
+   */
+  function notify(action) {
+    listeners.forEach(callback => callback(store, action));
+  }
+
+  /**
+   * Get current state (read-only)
+   * @returns {Object} Current application state
+   */
+  function getState() {
+    return { ...store };
+  }
+
+  /**
+   * Set current aspect and trigger physics-based transition
+   * @param {number|null} aspectIndex - Index of aspect to select (0-31) or null to deselect
+   */
+  function setAspect(aspectIndex) {
+    if (aspectIndex !== null && (aspectIndex < 0 || aspectIndex >= 32)) {
+      console.warn(`Invalid aspect index: ${aspectIndex}`);
+      return;
+    }
+    
+    selectAspect(aspectIndex);
+    record(aspectIndex === null ? 'Clear selection' : `Select ${ASPECTS[aspectIndex].name}`);
+    notify('setAspect');
+  }
+
+  /**
+   * Select an aspect and aim the rotation at it (no history, no notify)
+   * @param {number|null} aspectIndex - Index of aspect (0-31) or null
+   */
+  function selectAspect(aspectIndex) {
+    store.currentAspect = aspectIndex;
+    store.coasting = false;
+    
+    // Calculate target rotation for smooth transition
+    if (aspectIndex !== null) {
+      const anglePerAspect = (2 * Math.PI) / 32;
+      store.targetRotation = aspectIndex * anglePerAspect;
+    }
+  }
+
+  /**
+   * Move keyboard focus to an aspect (does not select it)
+   * @param {number|null} aspectIndex - Index of aspect (0-31) or null
+   */
+  function setFocusedAspect(aspectIndex) {
+    if (aspectIndex !== null && (!Number.isInteger(aspectIndex) || aspectIndex < 0 || aspectIndex >= 32)) {
+      console.warn(`Invalid aspect index: ${aspectIndex}`);
+      return;
+    }
+    
+    store.focusedAspect = aspectIndex;
+    notify('setFocusedAspect');
+  }
+
+  /**
+   * Replace the filter and keep the single ring / stage mirrors in step
+   * @param {Object} filter - Complete filter
+   */
+  function applyFilter(filter) {
+    store.filter = Object.freeze(filter);
+    store.currentRing = filter.rings.length === 1 ? filter.rings[0] : null;
+    store.currentStage = filter.stages.length === 1 ? filter.stages[0] : null;
+  }
+
+  /**
+   * Update the search / filter / sort model
+   * Only the given fields change. Typing in the search box collapses into
+   * one history entry.
+   * @param {Object} changes - Any of query, rings, stages, minActivation,
+   *   maxActivation, tags, sort (see filters.js)
+   */
+  function setFilter(changes) {
+    const errors = validateFilter(changes, store.mode);
+    const next = { ...store.filter, ...changes };
+    if (next.minActivation > next.maxActivation) {
+      errors.push(`activation range: ${next.minActivation} is above ${next.maxActivation}`);
+    }
+    if (errors.length) {
+      console.warn('Invalid filter:', errors);
+      return;
+    }
+    
+    applyFilter({
+      ...next,
+      rings: Object.freeze([...new Set(next.rings)]),
+      stages: Object.freeze([...new Set(next.stages)]),
+      tags: Object.freeze([...new Set(next.tags)])
+    });
+    record(`Filter: ${describeFilter(store.filter)}`, 'query' in changes ? 'filter:query' : null);
+    notify('setFilter');
+  }
+
+  /**
+   * Clear every filter part (sort order included)
+   */
+  function resetFilter() {
+    applyFilter({ ...DEFAULT_FILTER });
+    record('Clear filters');
+    notify('setFilter');
+  }
+
+  /**
+   * Set current harmonic ring filter
+   * Compatibility path for a single ring: replaces filter.rings.
+   * @param {string|null} ringName - Name of harmonic ring or null for all
+   */
+  function setRing(ringName) {
+    if (ringName !== null && !getRing(ringName)) {
+      console.warn(`Invalid ring name: ${ringName}`);
+      return;
+    }
+    
+    applyFilter({ ...store.filter, rings: Object.freeze(ringName === null ? [] : [ringName]) });
+    record(ringName === null ? 'Show all rings' : `Ring: ${ringName}`);
+    notify('setRing');
+  }
+
+  /**
+   * Set current developmental stage filter
+   * Compatibility path for a single stage: replaces filter.stages.
+   * @param {string|null} stageName - Name of stage or null for all
+   */
+  function setStage(stageName) {
+    if (stageName !== null && !getStage(stageName)) {
+      console.warn(`Invalid stage name: ${stageName}`);
+      return;
+    }
+    
+    applyFilter({ ...store.filter, stages: Object.freeze(stageName === null ? [] : [stageName]) });
+    record(stageName === null ? 'Show all stages' : `Stage: ${stageName}`);
+    notify('setStage');
+  }
+
+  /**
+   * Compare two developmental stages (diverging overlay on the clock)
+   * @param {string|null} stageA - Stage compared from, or null to end comparison
+   * @param {string|null} stageB - Stage compared to
+   */
+  function setComparison(stageA, stageB = null) {
+    if (stageA === null) {
+      store.comparison = null;
+      notify('setComparison');
+      return;
+    }
+    if (!getStage(stageA) || !getStage(stageB)) {
+      console.warn(`Invalid comparison stages: ${stageA}, ${stageB}`);
+      return;
+    }
+    
+    store.comparison = { stageA, stageB };
+    notify('setComparison');
+  }
+
+  /**
+   * Set view mode (lens)
+   * Switching lens changes each node's label, colour, tags and metadata.
+   * @param {string} mode - View mode: 'mind', 'body', or 'soul'
+   * @param {Object} options
+   * @param {string|null} [options.coalesceKey] - Merge with the next update of
+   *   the same key into one history entry
+   */
+  function setMode(mode, { coalesceKey = null } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(LENSES, mode)) {
+      console.warn(`Invalid mode: ${mode}`);
+      return;
+    }
+    
+    store.mode = mode;
+    // Tags belong to a lens; keep only those the new lens has
+    const tags = keepLensTags(store.filter.tags, mode);
+    if (tags.length !== store.filter.tags.length) applyFilter({ ...store.filter, tags: Object.freeze(tags) });
+    record(`${LENSES[mode].label} lens`, coalesceKey);
+    notify('setMode');
+  }
+
+  /**
+   * Toggle tutorial overlay
+   * @param {boolean} active - Tutorial state
+   * @param {Object|null} step - Step shown in the overlay (see tutorial.js)
+   */
+  function setTutorial(active, step = null) {
+    store.tutorialActive = active;
+    store.tutorialStep = active ? step : null;
+    notify('setTutorial');
+  }
+
+  /**
+   * Toggle display options
+   * @param {string} option - Option name
+   * @param {boolean} value - Option value
+   */
+  function toggleDisplay(option, value) {
+    if (!DISPLAY_OPTIONS.includes(option)) {
+      console.warn(`Invalid display option: ${option}`);
+      return;
+    }
+    
+    store[option] = value;
+    record(`${value ? 'Show' : 'Hide'} ${DISPLAY_LABELS[option]}`);
+    notify('toggleDisplay');
+  }
+
+  /**
+   * Set the target activation of a single aspect
+   * The rendered value eases toward it in updatePhysics(). A direct edit
+   * releases the lifespan hand, like every other activation write.
+   * @param {number} aspectIndex - Index of aspect (0-31)
+   * @param {number} value - Activation value (0-100)
+   */
+  function setActivation(aspectIndex, value) {
+    if (!Number.isInteger(aspectIndex) || aspectIndex < 0 || aspectIndex >= store.aspects.length) {
+      console.warn(`Invalid aspect index: ${aspectIndex}`);
+      return;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      console.warn(`Invalid activation value: ${value}`);
+      return;
+    }
+    
+    const clamped = clampActivation(value);
+    store.devStage = null;
+    store.aspects[aspectIndex].targetValue = clamped;
+    // Slider drags on one aspect collapse into a single history entry
+    record(`${ASPECTS[aspectIndex].name} set to ${Math.round(clamped)}`, `activation:${aspectIndex}`);
+    notify('setActivation');
+  }
+
+  /**
+   * Set target activations for many aspects at once
+   * Entries that are undefined or not numbers leave that aspect unchanged.
+   * Releases the lifespan hand.
+   * @param {Array<number>} activations - Activation values indexed by aspect (0-31)
+   * @param {Object} options
+   * @param {string} [options.label] - Action log text
+   * @param {string|null} [options.coalesceKey] - Merge repeated updates into one history entry
+   */
+  function updateBatchValues(activations, { label = null, coalesceKey = null } = {}) {
+    if (!Array.isArray(activations)) {
+      console.warn('updateBatchValues expects an array of activations');
+      return;
+    }
+    
+    let changed = 0;
+    store.devStage = null;
+    store.aspects.forEach((aspect, i) => {
+      const value = activations[i];
+      if (typeof value === 'number' && !Number.isNaN(value)) {
+        aspect.targetValue = clampActivation(value);
+        changed++;
+      }
+    });
+    record(label || `Set ${changed} activations`, coalesceKey);
+    notify('updateBatchValues');
+  }
+
+  /**
+   * Set the activation difference under which aspects resonate
+   * @param {number} threshold - Threshold (0-100)
+   */
+  function setResonanceThreshold(threshold) {
+    if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+      console.warn(`Invalid resonance threshold: ${threshold}`);
+      return;
+    }
+    
+    store.resonanceThreshold = threshold;
+    record(`Resonance threshold ${threshold}`, 'resonanceThreshold');
+    notify('setResonanceThreshold');
+  }
+
+  /**
+   * Move the lifespan clock hand and load the developmental activations there
+   * Fractional positions interpolate between adjacent stages; stage emphasis
+   * weights apply on top.
+   * @param {number|null} position - Stage position (0-11), or null to release the hand
+   */
+  function setDevStage(position) {
+    if (position === null) {
+      store.devStage = null;
+      record('Release lifespan hand');
+      notify('setDevStage');
+      return;
+    }
+    if (typeof position !== 'number' || Number.isNaN(position) || position < 0 || position > VIS_CONFIG.STAGE_COUNT - 1) {
+      console.warn(`Invalid developmental stage position: ${position}`);
+      return;
+    }
+    
+    store.devStage = position;
+    applyDevelopmentalActivations();
+    record(`Lifespan: ${STAGE_NAMES[Math.round(position)]}`, 'devStage');
+    notify('setDevStage');
+  }
+
+  /**
+   * Set the emphasis multiplier of one stage
+   * @param {number} stageIndex - Stage index (0-11)
+   * @param {number} weight - Multiplier (0.5-1.8)
+   */
+  function setStageWeight(stageIndex, weight) {
+    if (!Number.isInteger(stageIndex) || stageIndex < 0 || stageIndex >= VIS_CONFIG.STAGE_COUNT) {
+      console.warn(`Invalid stage index: ${stageIndex}`);
+      return;
+    }
+    if (typeof weight !== 'number' || Number.isNaN(weight) || weight < MIN_STAGE_WEIGHT || weight > MAX_STAGE_WEIGHT) {
+      console.warn(`Invalid stage weight: ${weight}`);
+      return;
+    }
+    
+    store.stageWeights = store.stageWeights.map((w, i) => (i === stageIndex ? weight : w));
+    if (store.devStage !== null) applyDevelopmentalActivations();
+    record(`${STAGE_NAMES[stageIndex]} emphasis ${weight.toFixed(2)}×`, `stageWeight:${stageIndex}`);
+    notify('setStageWeight');
+  }
+
+  /**
+   * Load weighted developmental activations at the current hand position
+   */
+  function applyDevelopmentalActivations() {
+    const activations = developmentalActivations(store.devStage, store.stageWeights);
+    store.aspects.forEach((aspect, i) => {
+      aspect.targetValue = activations[i];
+    });
+  }
+
+  /**
+   * Set the global breathing tempo
+   * @param {number} tempo - Multiplier on every ring frequency (0.1-2)
+   */
+  function setTempo(tempo) {
+    if (typeof tempo !== 'number' || Number.isNaN(tempo) || tempo < 0.1 || tempo > 2) {
+      console.warn(`Invalid tempo: ${tempo}`);
+      return;
+    }
+    
+    store.tempo = tempo;
+    notify('setTempo');
+  }
+
+  /**
+   * Set the colour theme
+   * @param {string} theme - Theme id (see THEMES in themes.js)
+   */
+  function setTheme(theme) {
+    if (!isTheme(theme)) {
+      console.warn(`Invalid theme: ${theme}`);
+      return;
+    }
+    
+    store.theme = theme;
+    notify('setTheme');
+  }
+
+  /**
+   * Pause or resume harmonic breathing
+   * @param {boolean} paused - Pause state
+   */
+  function setBreathingPaused(paused) {
+    store.breathingPaused = paused;
+    notify('setBreathingPaused');
+  }
+
+  /**
+   * Follow the user's reduced-motion preference
+   * Disables breathing and makes rotation jump instead of spin.
+   * @param {boolean} reduced - Whether reduced motion is requested
+   */
+  function setReducedMotion(reduced) {
+    store.reducedMotion = reduced;
+    notify('setReducedMotion');
+  }
+
+  /**
+   * Rotate the clock directly while it is being dragged
+   * The spring target follows the pointer, so nothing pulls it back.
+   * @param {number} rotation - Rotation angle (radians)
+   */
+  function setDragRotation(rotation) {
+    if (typeof rotation !== 'number' || !Number.isFinite(rotation)) {
+      console.warn(`Invalid rotation: ${rotation}`);
+      return;
+    }
+    
+    store.rotation = normalizeAngle(rotation);
+    store.targetRotation = store.rotation;
+    store.velocity = 0;
+    store.coasting = false;
+    notify('setDragRotation');
+  }
+
+  /**
+   * Hand the drag's angular velocity to the physics when the pointer lets go
+   * The clock coasts under friction and settles wherever it stops.
+   * @param {number} velocity - Angular velocity at release (radians/second)
+   */
+  function releaseRotation(velocity) {
+    if (typeof velocity !== 'number' || !Number.isFinite(velocity)) {
+      console.warn(`Invalid angular velocity: ${velocity}`);
+      return;
+    }
+    
+    store.velocity = Math.max(-MAX_SPIN, Math.min(MAX_SPIN, velocity));
+    store.coasting = Math.abs(store.velocity) >= COAST_STOP;
+    if (!store.coasting) store.velocity = 0;
+    notify('releaseRotation');
+  }
+
+  /**
+   * Set zoom and pan
+   * Zoom is clamped to 0.5-4×; pan is clamped so the clock stays in view.
+   * @param {Object} view - {zoom, panX, panY}; omitted fields keep their value
+   */
+  function setView({ zoom = store.zoom, panX = store.panX, panY = store.panY } = {}) {
+    if (![zoom, panX, panY].every(Number.isFinite)) {
+      console.warn('Invalid view:', { zoom, panX, panY });
+      return;
+    }
+    
+    store.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    // Zoomed in, the view can reach the clock's edge; at 1× only a little slack
+    const reach = 0.5 * Math.max(0, 1 - 1 / store.zoom) + 0.125;
+    store.panX = Math.max(-reach, Math.min(reach, panX));
+    store.panY = Math.max(-reach, Math.min(reach, panY));
+    notify('setView');
+  }
+
+  /**
+   * Switch the node layout
+   * Nodes glide from wherever they are drawn now (so a switch can interrupt
+   * another), or jump under reduced motion.
+   * @param {string} layout - Layout id (see LAYOUTS in layouts.js)
+   */
+  function setLayout(layout) {
+    if (!isLayout(layout)) {
+      console.warn(`Invalid layout: ${layout}`);
+      return;
+    }
+    if (layout === store.layout) return;
+    
+    store.layoutFrom = Object.freeze(store.aspects.map((aspect, i) => blendLayout(store, i)));
+    store.layout = layout;
+    store.layoutProgress = 0;
+    if (store.reducedMotion) {
+      store.layoutFrom = null;
+      store.layoutProgress = 1;
+    }
+    notify('setLayout');
+  }
+
+  /**
+   * Reset zoom and pan
+   */
+  function resetView() {
+    setView({ zoom: 1, panX: 0, panY: 0 });
+  }
+
+  /**
+   * Update physics state (called by animation loop)
+   * Listeners are only notified while something is still moving, so a settled
+   * clock costs nothing per frame. Breathing advances here too but does not
+   * keep the loop running: while it is the only motion, callers tick this
+   * every BREATH_INTERVAL_MS instead (see isBreathing()), and listeners get
+   * 'breathe' rather than 'updatePhysics' so they can patch just the pulse.
+   * @param {number} deltaTime - Time since last update (seconds)
+   * @returns {boolean} True while anything besides breathing moves (the
+   *   loop should keep running)
+   */
+  function updatePhysics(deltaTime) {
+    const wasRotation = store.rotation;
+    const coasted = store.coasting;
+    if (store.coasting) {
+      // Free spin after a drag: friction decays the released velocity
+      store.velocity *= Math.pow(COAST_FRICTION, deltaTime * 60);
+      store.rotation += store.velocity * deltaTime;
+      store.targetRotation = store.rotation;
+      if (store.reducedMotion || Math.abs(store.velocity) < COAST_STOP) {
+        store.coasting = false;
+        store.velocity = 0;
+      }
+    } else if (store.reducedMotion) {
+      // Jump straight to the target instead of spinning
+      store.rotation = store.targetRotation;
+      store.velocity = 0;
+    } else {
+      // Smooth rotation transition using spring physics
+      const diff = store.targetRotation - store.rotation;
+      const springForce = diff * 5.0; // Spring constant
+      const damping = store.velocity * 2.0; // Damping factor
+      
+      store.velocity += (springForce - damping) * deltaTime;
+      store.rotation += store.velocity * deltaTime;
+    }
+    
+    // Snap once the spring has settled
+    if (Math.abs(store.targetRotation - store.rotation) < SETTLE_ROTATION && Math.abs(store.velocity) < SETTLE_ROTATION) {
+      store.rotation = store.targetRotation;
+      store.velocity = 0;
+    }
+    
+    // Normalize rotation to [0, 2π]
+    store.rotation = normalizeAngle(store.rotation);
+    if (coasted) store.targetRotation = store.rotation;
+    let moving = store.rotation !== wasRotation;
+    
+    // Advance a layout switch
+    if (store.layoutFrom) {
+      store.layoutProgress = store.reducedMotion ? 1 : store.layoutProgress + deltaTime / LAYOUT_TRANSITION_SECONDS;
+      if (store.layoutProgress >= 1) {
+        store.layoutProgress = 1;
+        store.layoutFrom = null;
+      }
+      moving = true;
+    }
+    
+    // Ease rendered activations toward their targets
+    // (LERP_SPEED is tuned per 60fps frame, so scale it by elapsed frames)
+    const lerp = 1 - Math.pow(1 - VIS_CONFIG.LERP_SPEED, deltaTime * 60);
+    store.aspects.forEach(aspect => {
+      const gap = aspect.targetValue - aspect.value;
+      if (gap === 0) return;
+      aspect.value = Math.abs(gap) < SETTLE_VALUE ? aspect.targetValue : aspect.value + gap * lerp;
+      moving = true;
+    });
+    
+    // Advance the breathing clock
+    const breathing = isBreathing(store);
+    if (breathing) store.breathTime += deltaTime * store.tempo;
+    
+    if (moving) {
+      notify('updatePhysics');
+    } else if (breathing) {
+      notify('breathe');
+    }
+    return moving;
+  }
+
+  /**
+   * Show journal trends as per-aspect sparklines
+   * @param {Array<Array<number>>|null} trends - 32 activation series, or null to hide
+   * @param {number|null} cursor - Fractional timeline position to mark
+   */
+  function setTrends(trends, cursor = null) {
+    if (trends !== null && (!Array.isArray(trends) || trends.length !== store.aspects.length)) {
+      console.warn('setTrends expects one series per aspect');
+      return;
+    }
+    
+    store.trends = trends;
+    store.trendCursor = trends ? cursor : null;
+    notify('setTrends');
+  }
+
+  /**
+   * Set highlighted elements for visual feedback
+   * @param {Array<number>} elements - Array of aspect indices to highlight
+   */
+  function setHighlights(elements) {
+    store.highlightedElements = elements;
+    notify('setHighlights');
+  }
+
+  /**
+   * Shuffle to random aspect (for "Shuffle" button)
+   */
+  function shuffle() {
+    const randomIndex = Math.floor(Math.random() * 32);
+    selectAspect(randomIndex);
+    record(`Shuffle to ${ASPECTS[randomIndex].name}`);
+    notify('shuffle');
+  }
+
+  /**
+   * Set every aspect to a random activation (for the "R" shortcut)
+   */
+  function randomize() {
+    store.devStage = null;
+    store.aspects.forEach(aspect => {
+      aspect.targetValue = Math.floor(Math.random() * MAX_ACTIVATION);
+    });
+    record('Randomize activations');
+    notify('randomize');
+  }
+
+  /**
+   * Deactivate all filters, selections and activations
+   */
+  function deactivateAll() {
+    store.currentAspect = null;
+    applyFilter({ ...DEFAULT_FILTER });
+    store.devStage = null;
+    store.highlightedElements = [];
+    store.aspects.forEach(aspect => {
+      aspect.targetValue = MIN_ACTIVATION;
+    });
+    record('Deactivate all');
+    notify('deactivateAll');
+  }
+
+  /**
+   * Export state as JSON (for "Export JSON" feature)
+   * @returns {string} JSON snapshot at the current schema version
+   */
+  function exportState() {
+    return JSON.stringify(createSnapshot(store), null, 2);
+  }
+
+  /**
+   * Restore state from an exported snapshot (counterpart to exportState)
+   * Older schema versions are migrated first. Nothing is applied unless the
+   * whole snapshot validates.
+   * @param {string|Object} input - JSON text or parsed snapshot
+   * @param {Object} options
+   * @param {string} [options.label] - Action log text for the restored state
+   * @returns {{ok: boolean, errors: Array<string>}} Result with validation errors
+   */
+  function importState(input, { label = 'Import session' } = {}) {
+    const { ok, snapshot, errors } = parseSnapshot(input);
+    if (!ok) {
+      console.warn('State import rejected:', errors);
+      return { ok, errors };
+    }
+    
+    const { aspect } = snapshot.selection;
+    const filter = { ...DEFAULT_FILTER, ...snapshot.filter };
+    store.currentAspect = aspect;
+    store.mode = snapshot.mode;
+    store.devStage = null;
+    applyFilter({
+      ...filter,
+      rings: Object.freeze([...new Set(filter.rings)]),
+      stages: Object.freeze([...new Set(filter.stages)]),
+      tags: Object.freeze([...new Set(filter.tags)])
+    });
+    store.highlightedElements = [];
+    
+    if (aspect !== null) {
+      store.targetRotation = aspect * (2 * Math.PI) / 32;
+    }
+    
+    if (snapshot.display) {
+      Object.assign(store, snapshot.display);
+    }
+    
+    if (snapshot.resonanceThreshold !== undefined) {
+      store.resonanceThreshold = snapshot.resonanceThreshold;
+    }
+    
+    if (snapshot.activations) {
+      store.aspects.forEach((node, i) => {
+        node.targetValue = snapshot.activations[i];
+      });
+    }
+    
+    record(label);
+    notify('importState');
+    return { ok, errors };
+  }
+
+  /**
+   * Step back to the previous history entry
+   * @returns {boolean} True if there was anything to undo
+   */
+  function undo() {
+    const entry = timeline.undo();
+    if (!entry) return false;
+    restoreHistoryState(entry);
+    notify('undo');
+    return true;
+  }
+
+  /**
+   * Re-apply the next history entry
+   * @returns {boolean} True if there was anything to redo
+   */
+  function redo() {
+    const entry = timeline.redo();
+    if (!entry) return false;
+    restoreHistoryState(entry);
+    notify('redo');
+    return true;
+  }
+
+  /**
+   * Jump to any entry in the action log
+   * Later entries stay available for redo until a new action is taken.
+   * @param {number} index - Entry index (see getHistory())
+   */
+  function jumpToHistory(index) {
+    const entry = timeline.jumpTo(index);
+    if (!entry) {
+      console.warn(`Invalid history index: ${index}`);
+      return;
+    }
+    restoreHistoryState(entry);
+    notify('jumpToHistory');
+  }
+
+  /**
+   * Get the action log
+   * @returns {{index: number, entries: Array<{label: string, time: number}>, canUndo: boolean, canRedo: boolean}}
+   *   Entries oldest first; index is the current position
+   */
+  function getHistory() {
+    return {
+      ...timeline.getLog(),
+      canUndo: timeline.canUndo(),
+      canRedo: timeline.canRedo()
+    };
+  }
+    
+  return {
+    subscribe,
+    getState,
+    setAspect,
+    setFocusedAspect,
+    setFilter,
+    resetFilter,
+    setRing,
+    setStage,
+    setComparison,
+    setMode,
+    setTutorial,
+    toggleDisplay,
+    setActivation,
+    updateBatchValues,
+    setResonanceThreshold,
+    setDevStage,
+    setStageWeight,
+    setTempo,
+    setTheme,
+    setBreathingPaused,
+    setReducedMotion,
+    setDragRotation,
+    releaseRotation,
+    setView,
+    setLayout,
+    resetView,
+    updatePhysics,
+    setTrends,
+    setHighlights,
+    shuffle,
+    randomize,
+    deactivateAll,
+    exportState,
+    importState,
+    undo,
+    redo,
+    jumpToHistory,
+    getHistory
+  };
 }
 
 /**
- * Export state as JSON (for "Export JSON" feature)
- * @returns {string} JSON representation of current state
+ * Default store, used by the page app and by the functions below
  */
-export function exportState() {
-  const exportData = {
-    aspect: store.currentAspect !== null ? ASPECTS[store.currentAspect] : null,
-    ring: store.currentRing,
-    stage: store.currentStage,
-    mode: store.mode,
-    timestamp: new Date().toISOString(),
-    project: 'Self Clock Interactive - Kinetic Imperative',
-    author: 'Adrian Lei Martinez-Conol'
-  };
-  
-  return JSON.stringify(exportData, null, 2);
-}
+const defaultStore = createStore();
+
+export const {
+  subscribe,
+  getState,
+  setAspect,
+  setFocusedAspect,
+  setFilter,
+  resetFilter,
+  setRing,
+  setStage,
+  setComparison,
+  setMode,
+  setTutorial,
+  toggleDisplay,
+  setActivation,
+  updateBatchValues,
+  setResonanceThreshold,
+  setDevStage,
+  setStageWeight,
+  setTempo,
+  setTheme,
+  setBreathingPaused,
+  setReducedMotion,
+  setDragRotation,
+  releaseRotation,
+  setView,
+  setLayout,
+  resetView,
+  updatePhysics,
+  setTrends,
+  setHighlights,
+  shuffle,
+  randomize,
+  deactivateAll,
+  exportState,
+  importState,
+  undo,
+  redo,
+  jumpToHistory,
+  getHistory
+} = defaultStore;
@@ -0,0 +1,367 @@
+/**
+ * @module themes
+ * @description Themes and palettes for the 32-Aspect Self Clock Interactive (SCI)
+ * Themes are data: page colours (applied as CSS custom properties), clock
+ * colours for the renderer, and anchor colours from which the ring, stage
+ * and node palettes are generated, so every ring and every stage gets its
+ * own colour whatever the counts.
+ *
+ * The chosen theme is remembered under 'selfClockTheme'; the default,
+ * 'system', follows prefers-color-scheme (and prefers-contrast: more).
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { VIS_CONFIG } from './data.js';
+
+/**
+ * Local storage key for the theme choice (shared with the monolith)
+ */
+export const THEME_STORAGE_KEY = 'selfClockTheme';
+
+/**
+ * Theme choice that follows the operating system
+ */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Theme used when nothing else applies (the clock's original look)
+ */
+export const DEFAULT_THEME = 'dark';
+
+/**
+ * Theme definitions
+ * css:          custom properties for the page
+ * clock:        renderer colours
+ * ringAnchors:  colours spread across the 8 rings (inner to outer)
+ * stageAnchors: colours spread across the 12 stages
+ * lensAnchors:  per lens, the node colour ramp (see getNodeColor())
+ */
+export const THEMES = {
+  dark: {
+    id: 'dark',
+    label: 'Dark',
+    scheme: 'dark',
+    css: {
+      '--page-bg': 'linear-gradient(135deg, #1e3c72 0%, #2a5298 50%, #1e3c72 100%)',
+      '--surface': 'rgba(0, 0, 0, 0.3)',
+      '--clock-bg': 'radial-gradient(circle, rgba(30, 60, 114, 0.8) 0%, rgba(15, 30, 57, 0.9) 100%)',
+      '--panel-bg': '#1E1E1E',
+      '--control-bg': 'rgba(255, 255, 255, 0.08)',
+      '--border': 'rgba(255, 255, 255, 0.2)',
+      '--text': '#ffffff',
+      '--muted': '#B0C4DE',
+      '--accent': '#FFD700',
+      '--focus': '#00FFD4'
+    },
+    clock: {
+      background: '#0f1e39',
+      label: '#FFFFFF',
+      nodeStroke: '#333',
+      selected: '#FFFFFF',
+      highlight: '#FFD700',
+      resonance: '#00FFD4',
+      hand: '#FFFFFF',
+      overlay: '#000000',
+      caption: '#FFD700',
+      delta: { increase: '#1B9E77', decrease: '#D95F02' }
+    },
+    // Body (coral) -> Mind (gold) -> Soul (purple), following the ring domains
+    ringAnchors: ['#FF6B6B', '#FFD700', '#9D4EDD'],
+    stageAnchors: ['#4A90E2', '#C1F5FF'],
+    // Each lens's original hue band: amber, coral, violet
+    lensAnchors: {
+      mind: ['#E28C36', '#E2E236'],
+      body: ['#D61F4C', '#E77A55'],
+      soul: ['#7A55E7', '#E755E7']
+    }
+  },
+
+  light: {
+    id: 'light',
+    label: 'Light',
+    scheme: 'light',
+    css: {
+      '--page-bg': 'linear-gradient(135deg, #eef2fb 0%, #dfe7f7 50%, #eef2fb 100%)',
+      '--surface': 'rgba(255, 255, 255, 0.7)',
+      '--clock-bg': 'radial-gradient(circle, #ffffff 0%, #e6ecf8 100%)',
+      '--panel-bg': '#ffffff',
+      '--control-bg': 'rgba(20, 30, 60, 0.06)',
+      '--border': 'rgba(20, 30, 60, 0.2)',
+      '--text': '#1a2238',
+      '--muted': '#4a5673',
+      '--accent': '#B8860B',
+      '--focus': '#0077B6'
+    },
+    clock: {
+      background: '#f4f7fd',
+      label: '#1a2238',
+      nodeStroke: '#8a94ad',
+      selected: '#1a2238',
+      highlight: '#B8860B',
+      resonance: '#0096A0',
+      hand: '#1a2238',
+      overlay: '#1a2238',
+      caption: '#FFFFFF',
+      delta: { increase: '#1B9E77', decrease: '#D95F02' }
+    },
+    ringAnchors: ['#D64545', '#C99700', '#7B2CBF'],
+    stageAnchors: ['#1E5AA8', '#5FB3D9'],
+    lensAnchors: {
+      mind: ['#B36619', '#A19512'],
+      body: ['#AD1F42', '#C9481D'],
+      soul: ['#5631C4', '#AB2BAB']
+    }
+  },
+
+  'high-contrast': {
+    id: 'high-contrast',
+    label: 'High contrast',
+    scheme: 'dark',
+    css: {
+      '--page-bg': '#000000',
+      '--surface': '#000000',
+      '--clock-bg': '#000000',
+      '--panel-bg': '#000000',
+      '--control-bg': '#000000',
+      '--border': '#ffffff',
+      '--text': '#ffffff',
+      '--muted': '#ffffff',
+      '--accent': '#FFFF00',
+      '--focus': '#00FFFF'
+    },
+    clock: {
+      background: '#000000',
+      label: '#FFFFFF',
+      nodeStroke: '#FFFFFF',
+      selected: '#FFFF00',
+      highlight: '#00FFFF',
+      resonance: '#FFFFFF',
+      hand: '#FFFF00',
+      overlay: '#000000',
+      caption: '#FFFF00',
+      delta: { increase: '#00FFFF', decrease: '#FF00FF' }
+    },
+    ringAnchors: ['#FFFF00', '#00FFFF', '#FF00FF'],
+    stageAnchors: ['#FFFFFF', '#00FFFF'],
+    lensAnchors: {
+      mind: ['#FFFF00', '#FFFFFF'],
+      body: ['#00FFFF', '#00FF00'],
+      soul: ['#FF00FF', '#FF80FF']
+    }
+  },
+
+  colorblind: {
+    id: 'colorblind',
+    label: 'Colour-blind safe',
+    scheme: 'dark',
+    css: {
+      '--page-bg': 'linear-gradient(135deg, #1b1f2a 0%, #262c3a 50%, #1b1f2a 100%)',
+      '--surface': 'rgba(0, 0, 0, 0.3)',
+      '--clock-bg': 'radial-gradient(circle, #262c3a 0%, #14171f 100%)',
+      '--panel-bg': '#1b1f2a',
+      '--control-bg': 'rgba(255, 255, 255, 0.08)',
+      '--border': 'rgba(255, 255, 255, 0.25)',
+      '--text': '#ffffff',
+      '--muted': '#c8cdd8',
+      '--accent': '#F0E442',
+      '--focus': '#56B4E9'
+    },
+    clock: {
+      background: '#14171f',
+      label: '#FFFFFF',
+      nodeStroke: '#999999',
+      selected: '#FFFFFF',
+      highlight: '#F0E442',
+      resonance: '#56B4E9',
+      hand: '#FFFFFF',
+      overlay: '#000000',
+      caption: '#F0E442',
+      delta: { increase: '#0072B2', decrease: '#E69F00' }
+    },
+    // Okabe-Ito for the rings, viridis for the ordered stages
+    ringAnchors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#999999'],
+    stageAnchors: ['#440154', '#3B528B', '#21918C', '#5EC962', '#FDE725'],
+    lensAnchors: {
+      mind: ['#E69F00', '#F0E442'],
+      body: ['#D55E00', '#CC79A7'],
+      soul: ['#56B4E9', '#0072B2']
+    }
+  }
+};
+
+/**
+ * Steps in each generated node colour ramp (one per ring, the finest
+ * grouping a lens colours by)
+ */
+const LENS_RAMP_STEPS = VIS_CONFIG.RING_COUNT;
+
+/**
+ * Spread anchor colours evenly over count entries (linear RGB blend)
+ * With as many anchors as entries, the anchors come back unchanged.
+ * @param {Array<string>} anchors - '#RRGGBB' colours, at least one
+ * @param {number} count - Number of colours wanted
+ * @returns {Array<string>} count '#rrggbb' colours
+ */
+export function interpolatePalette(anchors, count) {
+  const rgb = anchors.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+  const toHex = (channels) => `#${channels.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+  if (rgb.length === 1 || count === 1) return Array.from({ length: count }, () => toHex(rgb[0]));
+
+  return Array.from({ length: count }, (_, i) => {
+    const position = (i / (count - 1)) * (rgb.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(rgb.length - 1, lower + 1);
+    const t = position - lower;
+    return toHex(rgb[lower].map((channel, c) => channel + (rgb[upper][c] - channel) * t));
+  });
+}
+
+/**
+ * Renderer palettes, generated once per theme
+ */
+const PALETTES = new Map();
+
+/**
+ * Renderer palette for a theme: the theme's clock colours plus one colour
+ * per ring and per stage, and a node colour ramp per lens
+ * @param {string} themeId - Theme id (unknown ids get the default theme)
+ * @returns {Object} {background, label, ..., delta, rings[8], stages[12], lenses}
+ */
+export function getPalette(themeId) {
+  const theme = THEMES[themeId] || THEMES[DEFAULT_THEME];
+  if (!PALETTES.has(theme.id)) {
+    PALETTES.set(theme.id, Object.freeze({
+      ...theme.clock,
+      rings: Object.freeze(interpolatePalette(theme.ringAnchors, VIS_CONFIG.RING_COUNT)),
+      stages: Object.freeze(interpolatePalette(theme.stageAnchors, VIS_CONFIG.STAGE_COUNT)),
+      lenses: Object.freeze(Object.fromEntries(Object.entries(theme.lensAnchors).map(([mode, anchors]) =>
+        [mode, Object.freeze(interpolatePalette(anchors, LENS_RAMP_STEPS))]
+      )))
+    }));
+  }
+  return PALETTES.get(theme.id);
+}
+
+/**
+ * Node fill under a theme and lens
+ * @param {string} themeId - Theme id
+ * @param {string} mode - Lens id
+ * @param {number} position - Where the aspect sits in its lens's colour
+ *   order (0-1, the lens view's colorPosition)
+ * @returns {string} '#rrggbb' colour
+ */
+export function getNodeColor(themeId, mode, position) {
+  const { lenses } = getPalette(themeId);
+  const ramp = lenses[mode] || lenses.mind;
+  return ramp[Math.round(Math.min(1, Math.max(0, position)) * (ramp.length - 1))];
+}
+
+/**
+ * Whether a value is a theme id
+ * @param {string} themeId
+ * @returns {boolean}
+ */
+export function isTheme(themeId) {
+  return Object.prototype.hasOwnProperty.call(THEMES, themeId);
+}
+
+/**
+ * Theme for a choice: a theme id as is, or the system preference for 'system'
+ * @param {string} choice - Theme id or SYSTEM_THEME
+ * @param {Function|null} matchMedia - window.matchMedia (null: no preference)
+ * @returns {string} Theme id
+ */
+export function resolveTheme(choice, matchMedia = globalThis.matchMedia ?? null) {
+  if (isTheme(choice)) return choice;
+  const prefers = (query) => Boolean(matchMedia && matchMedia(query).matches);
+  if (prefers('(prefers-contrast: more)')) return 'high-contrast';
+  if (prefers('(prefers-color-scheme: light)')) return 'light';
+  return DEFAULT_THEME;
+}
+
+/**
+ * Apply a theme's page colours to a document
+ * @param {string} themeId - Theme id
+ * @param {HTMLElement} root - Element receiving the custom properties
+ */
+export function applyThemeToDocument(themeId, root = document.documentElement) {
+  const theme = THEMES[themeId] || THEMES[DEFAULT_THEME];
+  Object.entries(theme.css).forEach(([property, value]) => root.style.setProperty(property, value));
+  root.style.colorScheme = theme.scheme;
+  root.setAttribute('data-theme', theme.id);
+}
+
+/**
+ * Bind a remembered theme choice to a store
+ * The store holds the resolved theme id; 'system' keeps following the OS
+ * preference as it changes.
+ * @param {Object} store - Store API: setTheme
+ * @param {Object} options
+ * @param {Storage|null} [options.storage] - Choice storage (defaults to localStorage)
+ * @param {string} [options.key] - Storage key
+ * @param {Function|null} [options.matchMedia] - window.matchMedia
+ * @returns {Object} API: getChoice, setChoice, destroy
+ */
+export function createThemePreference(store, {
+  storage = globalThis.localStorage ?? null,
+  key = THEME_STORAGE_KEY,
+  matchMedia = globalThis.matchMedia ? globalThis.matchMedia.bind(globalThis) : null
+} = {}) {
+  let choice = SYSTEM_THEME;
+  try {
+    const saved = storage ? storage.getItem(key) : null;
+    if (saved && (saved === SYSTEM_THEME || isTheme(saved))) choice = saved;
+  } catch (error) {
+    console.warn('Theme preference ignored:', error.message);
+  }
+
+  const apply = () => store.setTheme(resolveTheme(choice, matchMedia));
+
+  // Follow OS changes while the choice is 'system'
+  const queries = matchMedia
+    ? ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].map(query => matchMedia(query))
+    : [];
+  const onChange = () => {
+    if (choice === SYSTEM_THEME) apply();
+  };
+  queries.forEach(query => query.addEventListener && query.addEventListener('change', onChange));
+
+  apply();
+
+  return {
+    /**
+     * @returns {string} Theme id or SYSTEM_THEME
+     */
+    getChoice() {
+      return choice;
+    },
+
+    /**
+     * Choose a theme (or 'system') and remember it
+     * @param {string} next - Theme id or SYSTEM_THEME
+     */
+    setChoice(next) {
+      if (next !== SYSTEM_THEME && !isTheme(next)) {
+        console.warn(`Invalid theme: ${next}`);
+        return;
+      }
+      choice = next;
+      try {
+        if (storage) storage.setItem(key, choice);
+      } catch (error) {
+        console.warn('Theme preference could not be saved:', error.message);
+      }
+      apply();
+    },
+
+    /**
+     * Stop following OS changes
+     */
+    destroy() {
+      queries.forEach(query => query.removeEventListener && query.removeEventListener('change', onChange));
+    }
+  };
+}
@@ -0,0 +1,274 @@
+/**
+ * @module tutorial
+ * @description Step-by-step tutorial engine for the 32-Aspect Self Clock Interactive (SCI)
+ * Steps are plain data: text, which nodes to spotlight (through the store's
+ * highlights) and, optionally, an action the user must perform before moving
+ * on. Progress is remembered between visits.
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS, getRing, getStage } from './data.js';
+
+/**
+ * Local storage key for tutorial progress
+ */
+export const TUTORIAL_STORAGE_KEY = 'selfClockTutorial';
+
+/**
+ * Tutorial steps
+ * highlight: {ring, stage, aspects} spotlights those nodes (any combination)
+ * waitFor:   condition that unlocks Next, met only by the user's own action
+ *            while the step is showing (a state that already holds does not count)
+ *   {type: 'select', ring?, stage?} - select an aspect (optionally in a ring / stage)
+ *   {type: 'mode', mode}            - switch to a lens
+ *   {type: 'action', action}        - perform a store action (e.g. 'setDevStage')
+ */
+export const TUTORIAL_STEPS = Object.freeze([
+  {
+    id: 'navigate',
+    title: 'Navigate the map',
+    detail: 'Tap any node, or Tab to the clock and use the arrow keys, to explore the 32 aspects. Selecting a node turns it to the top.',
+    waitFor: { type: 'select' },
+    hint: 'Select any aspect to continue.'
+  },
+  {
+    id: 'rings',
+    title: 'Harmonic rings',
+    detail: 'Aspects are grouped into 8 rings, from Imprinting (0.5 Hz) to Transcendence (6.8 Hz). Each ring breathes at its own frequency.',
+    highlight: { ring: 'Intimacy' },
+    waitFor: { type: 'select', ring: 'Intimacy' },
+    hint: 'Select any Intimacy aspect (highlighted).'
+  },
+  {
+    id: 'lenses',
+    title: 'Mind, Body and Soul lenses',
+    detail: 'The same 32 aspects read differently through each lens: labels, colours, tags and metadata all change.',
+    waitFor: { type: 'mode', mode: 'body' },
+    hint: 'Switch to the Body lens.'
+  },
+  {
+    id: 'sci',
+    title: 'Semantic Coherence Index',
+    detail: 'Watch the SCI metric for balance (variance), power (mean activation) and resonance coverage (stage / ring alignment).'
+  },
+  {
+    id: 'development',
+    title: 'Developmental emphasis',
+    detail: 'The lifespan slider loads each aspect\'s developmental profile; Stage Emphasis multipliers weight the phases that matter now.',
+    highlight: { stage: 'Imprinting' },
+    waitFor: { type: 'action', action: 'setDevStage' },
+    hint: 'Move the lifespan slider or press Play Lifespan.'
+  },
+  {
+    id: 'compare',
+    title: 'Comparative mode',
+    detail: 'Pick two stages to see which aspects rise (teal, outward) and fall (orange, inward) between them.',
+    waitFor: { type: 'action', action: 'setComparison' },
+    hint: 'Choose a Stage A and a Stage B.'
+  },
+  {
+    id: 'resonance',
+    title: 'Resonance links',
+    detail: 'Dashed links join aspects whose activations are close. Denser links mean higher coherence; the threshold slider sets how close is close.'
+  },
+  {
+    id: 'exports',
+    title: 'Exports for research',
+    detail: 'Press E or use the Export buttons for JSON, CSV, images or a printable briefing with the SCI formula details.'
+  }
+]);
+
+/**
+ * Aspect ids a step spotlights
+ * @param {Object} step - Tutorial step
+ * @returns {Array<number>}
+ */
+export function resolveHighlights(step) {
+  const { ring, stage, aspects = [] } = step.highlight || {};
+  const ids = new Set(aspects);
+  if (ring) getRing(ring).aspects.forEach(id => ids.add(id));
+  if (stage) getStage(stage).aspects.forEach(id => ids.add(id));
+  return [...ids].sort((a, b) => a - b);
+}
+
+/**
+ * Store actions that can meet each kind of condition
+ */
+const CONDITION_ACTIONS = {
+  select: ['setAspect'],
+  mode: ['setMode']
+};
+
+/**
+ * Whether a step's waitFor condition is met by the action that just ran
+ * @param {Object} waitFor - Step condition
+ * @param {Object} state - Store state
+ * @param {string} action - Store action that just ran
+ * @returns {boolean}
+ */
+export function isConditionMet(waitFor, state, action) {
+  switch (waitFor.type) {
+    case 'select': {
+      if (!CONDITION_ACTIONS.select.includes(action) || state.currentAspect === null) return false;
+      const aspect = ASPECTS[state.currentAspect];
+      return (!waitFor.ring || aspect.ringName === waitFor.ring)
+        && (!waitFor.stage || aspect.stageName === waitFor.stage);
+    }
+    case 'mode':
+      return CONDITION_ACTIONS.mode.includes(action) && state.mode === waitFor.mode;
+    case 'action':
+      return action === waitFor.action;
+    default:
+      console.warn(`Unknown tutorial condition: ${waitFor.type}`);
+      return true;
+  }
+}
+
+/**
+ * Actions the tutorial itself (or animation) performs; never satisfy a step
+ */
+const IGNORED_ACTIONS = ['updatePhysics', 'breathe', 'setTutorial', 'setHighlights'];
+
+/**
+ * Create a tutorial engine bound to a store
+ * @param {Object} store - Store API: subscribe, getState, setTutorial, setHighlights
+ * @param {Object} options
+ * @param {Array<Object>} [options.steps] - Step list (defaults to TUTORIAL_STEPS)
+ * @param {Storage|null} [options.storage] - Progress storage (defaults to localStorage)
+ * @param {string} [options.key] - Storage key
+ * @returns {Object} Tutorial API: start, next, back, skip, destroy
+ */
+export function createTutorial(store, {
+  steps = TUTORIAL_STEPS,
+  storage = globalThis.localStorage ?? null,
+  key = TUTORIAL_STORAGE_KEY
+} = {}) {
+  let index = 0;
+  let active = false;
+  const satisfied = new Set();      // Ids of steps whose condition has been met
+  let completed = false;
+
+  // Restore saved progress (unreadable progress starts fresh)
+  try {
+    const saved = storage ? JSON.parse(storage.getItem(key) || 'null') : null;
+    if (saved && Number.isInteger(saved.index) && saved.index >= 0 && saved.index < steps.length) {
+      index = saved.index;
+      completed = saved.completed === true;
+      (saved.satisfied || []).forEach(id => satisfied.add(id));
+    }
+  } catch (error) {
+    console.warn('Tutorial progress ignored:', error.message);
+  }
+
+  function save() {
+    if (!storage) return;
+    try {
+      storage.setItem(key, JSON.stringify({ index, completed, satisfied: [...satisfied] }));
+    } catch (error) {
+      console.warn('Tutorial progress could not be saved:', error.message);
+    }
+  }
+
+  function isWaiting(step) {
+    return Boolean(step.waitFor) && !satisfied.has(step.id);
+  }
+
+  /**
+   * Push the current step into the store (overlay, spotlight, controls)
+   */
+  function show() {
+    const step = steps[index];
+    const waiting = isWaiting(step);
+    store.setHighlights(resolveHighlights(step));
+    store.setTutorial(true, {
+      id: step.id,
+      index,
+      total: steps.length,
+      title: step.title,
+      detail: step.detail,
+      hint: waiting ? step.hint || '' : (step.waitFor ? 'Done! Press Next to continue.' : ''),
+      waiting
+    });
+    save();
+  }
+
+  function close() {
+    active = false;
+    store.setHighlights([]);
+    store.setTutorial(false);
+    save();
+  }
+
+  // Unlock waiting steps when the user performs the requested action
+  const unsubscribe = store.subscribe((state, action) => {
+    if (!active || IGNORED_ACTIONS.includes(action)) return;
+    const step = steps[index];
+    if (isWaiting(step) && isConditionMet(step.waitFor, state, action)) {
+      satisfied.add(step.id);
+      show();
+    }
+  });
+
+  return {
+    /**
+     * Open the tutorial, resuming saved progress (a finished tutorial restarts)
+     */
+    start() {
+      if (completed) {
+        index = 0;
+        completed = false;
+        satisfied.clear();
+      }
+      active = true;
+      show();
+    },
+
+    /**
+     * Advance to the next step (finishes after the last one)
+     * Does nothing while the current step is waiting for an action.
+     */
+    next() {
+      if (!active || isWaiting(steps[index])) return;
+      if (index === steps.length - 1) {
+        completed = true;
+        close();
+        return;
+      }
+      index++;
+      show();
+    },
+
+    /**
+     * Go back one step
+     */
+    back() {
+      if (!active || index === 0) return;
+      index--;
+      show();
+    },
+
+    /**
+     * Close the tutorial, keeping the current step for next time
+     */
+    skip() {
+      if (active) close();
+    },
+
+    /**
+     * @returns {boolean} Whether the tutorial is open
+     */
+    isActive() {
+      return active;
+    },
+
+    /**
+     * Stop listening to the store
+     */
+    destroy() {
+      unsubscribe();
+    }
+  };
+}
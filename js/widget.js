@@ -0,0 +1,378 @@
+/**
+ * @module widget
+ * @description Embeddable clock widget for the 32-Aspect Self Clock Interactive (SCI)
+ * createSelfClock() puts an isolated clock in any container: its own store,
+ * SVG renderer and animation loop, so several clocks can sit side by side on
+ * one page. The <self-clock> element wraps it for plain HTML:
+ *
+ *   <script type="module" src="js/widget.js"></script>
+ *   <self-clock mode="soul" layout="concentric" size="360"
+ *               activations="40,55,70,…"></self-clock>
+ *
+ * Events are DOM CustomEvents dispatched on the container (the element):
+ *
+ *   aspectselect  detail {index, name, label}; index is null when cleared
+ *   modechange    detail {mode}
+ *   change        detail {activations, action}: target activations changed
+ *
+ * @author Adrian Lei Martinez-Conol
+ * @project Only When Prompted Research Initiative
+ * @framework Kinetic Imperative - Self Clock Interactive
+ */
+
+import { ASPECTS } from './data.js';
+import { getLensAspects } from './lenses.js';
+import { createStore, isBreathing, BREATH_INTERVAL_MS } from './store.js';
+import { renderClock, renderBreath } from './renderer.js';
+import { attachGestures, applyView } from './gestures.js';
+import { getPalette } from './themes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Default widget size (pixels)
+ */
+export const DEFAULT_SIZE = 400;
+
+/**
+ * Clocks created so far; numbers each clock's SVG ids (filters and masks are
+ * looked up document-wide, so two clocks must not share them)
+ */
+let instanceCount = 0;
+
+/**
+ * Create a clock inside a container
+ * @param {HTMLElement} container - Element that receives the SVG and the events
+ * @param {Object} options
+ * @param {number} [options.size] - Width and height (pixels)
+ * @param {string} [options.mode] - Initial lens
+ * @param {Array<number>} [options.activations] - Initial 32 activations (0-100)
+ * @param {string} [options.theme] - Theme id (see themes.js)
+ * @param {string} [options.layout] - Layout id (see layouts.js)
+ * @param {boolean} [options.interactive=true] - Select, spin and zoom with
+ *   pointer and keyboard; false makes a display-only clock
+ * @param {string} [options.label] - Accessible name of the clock
+ * @returns {Object|null} Instance API, or null without a container
+ */
+export function createSelfClock(container, {
+  size = DEFAULT_SIZE,
+  mode,
+  activations,
+  theme,
+  layout,
+  interactive = true,
+  label = '32-Aspect Self Clock'
+} = {}) {
+  if (!container || typeof container.appendChild !== 'function') {
+    console.warn('createSelfClock needs a container element');
+    return null;
+  }
+  if (!Number.isFinite(size) || size <= 0) {
+    console.warn(`Invalid clock size: ${size}`);
+    size = DEFAULT_SIZE;
+  }
+
+  const store = createStore({ mode, activations, theme, layout });
+  const idPrefix = `self-clock-${++instanceCount}-`;
+  const doc = container.ownerDocument || document;
+  const svg = doc.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('width', size);
+  svg.setAttribute('height', size);
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-label', label);
+  svg.style.maxWidth = '100%';
+  svg.style.height = 'auto';
+  container.appendChild(svg);
+
+  const cleanups = [];
+  const emit = (type, detail) => container.dispatchEvent(new CustomEvent(type, { detail }));
+
+  // Animation loop: runs while the physics reports motion, restarted by
+  // actions; breathing alone ticks on a low-rate timer instead
+  let animationFrame = null;
+  let breathTimer = null;
+  let lastTime = 0;
+  const animate = (time) => {
+    const deltaTime = Math.min(0.1, (time - lastTime) / 1000);
+    lastTime = time;
+    animationFrame = store.updatePhysics(deltaTime) ? requestAnimationFrame(animate) : null;
+  };
+  const syncBreathTimer = () => {
+    if (!isBreathing(store.getState())) {
+      clearInterval(breathTimer);
+      breathTimer = null;
+    } else if (breathTimer === null) {
+      let last = performance.now();
+      breathTimer = setInterval(() => {
+        const now = performance.now();
+        if (animationFrame === null) store.updatePhysics(Math.min(0.1, (now - last) / 1000));
+        last = now;
+      }, BREATH_INTERVAL_MS);
+    }
+  };
+  const startLoop = () => {
+    syncBreathTimer();
+    if (animationFrame !== null) return;
+    lastTime = performance.now();
+    animationFrame = requestAnimationFrame(animate);
+  };
+
+  const paint = (state) => {
+    renderClock(svg, size, size, state, { idPrefix });
+    applyView(svg, state, size, size);
+    svg.style.background = getPalette(state.theme).background;
+  };
+
+  // Paint at most once per frame; breathing ticks only patch the pulse
+  let paintFrame = null;
+  let sceneDirty = false;
+  const schedulePaint = (action) => {
+    if (action !== 'breathe') sceneDirty = true;
+    if (paintFrame !== null) return;
+    paintFrame = requestAnimationFrame(() => {
+      paintFrame = null;
+      const state = store.getState();
+      if (sceneDirty) {
+        paint(state);
+      } else {
+        renderBreath(svg, size, size, state, { idPrefix });
+      }
+      sceneDirty = false;
+    });
+  };
+
+  // Events fire on what actually changed, whichever action changed it
+  let last = store.getState();
+  let lastActivations = last.aspects.map(aspect => aspect.targetValue);
+  cleanups.push(store.subscribe((state, action) => {
+    schedulePaint(action);
+    if (action === 'updatePhysics' || action === 'breathe') return;
+
+    if (state.currentAspect !== last.currentAspect) {
+      const index = state.currentAspect;
+      emit('aspectselect', index === null
+        ? { index: null, name: null, label: null }
+        : { index, name: ASPECTS[index].name, label: getLensAspects(state.mode)[index].label });
+    }
+    if (state.mode !== last.mode) emit('modechange', { mode: state.mode });
+    const current = state.aspects.map(aspect => aspect.targetValue);
+    if (current.some((value, i) => value !== lastActivations[i])) {
+      emit('change', { activations: current, action });
+    }
+
+    last = { ...state };
+    lastActivations = current;
+    startLoop();
+  }));
+
+  if (interactive) {
+    const onClick = (event) => {
+      const index = indexOf(event.target);
+      if (index !== null) store.setAspect(index);
+    };
+    // Enter / Space select; ← / → step around the clock
+    const onKeydown = (event) => {
+      const index = indexOf(event.target);
+      if (index === null || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        store.setAspect(index);
+      } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+        event.preventDefault();
+        const next = (index + (event.key === 'ArrowRight' ? 1 : -1) + ASPECTS.length) % ASPECTS.length;
+        store.setFocusedAspect(next);
+        const node = svg.querySelector(`[data-aspect-index="${next}"]`);
+        if (node) node.focus();
+      }
+    };
+    svg.addEventListener('click', onClick);
+    svg.addEventListener('keydown', onKeydown);
+    cleanups.push(() => {
+      svg.removeEventListener('click', onClick);
+      svg.removeEventListener('keydown', onKeydown);
+    });
+    cleanups.push(attachGestures(svg, store, { width: size, height: size }));
+  }
+
+  // Follow the OS reduced-motion preference, live
+  const motionQuery = globalThis.matchMedia ? globalThis.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  if (motionQuery) {
+    const onMotion = (event) => store.setReducedMotion(event.matches);
+    store.setReducedMotion(motionQuery.matches);
+    motionQuery.addEventListener('change', onMotion);
+    cleanups.push(() => motionQuery.removeEventListener('change', onMotion));
+  }
+
+  paint(store.getState());
+  startLoop();
+
+  let destroyed = false;
+
+  return {
+    /**
+     * The clock's SVG element
+     */
+    element: svg,
+
+    /**
+     * The instance's own store (full store API, see store.js)
+     */
+    store,
+
+    /**
+     * @returns {Object} Current state of this clock
+     */
+    getState() {
+      return store.getState();
+    },
+
+    /**
+     * @returns {Array<number>} The 32 target activations
+     */
+    getActivations() {
+      return store.getState().aspects.map(aspect => aspect.targetValue);
+    },
+
+    /**
+     * Set all 32 activations (one undoable step)
+     * @param {Array<number>} values - 32 activations (0-100)
+     * @param {Object} options
+     * @param {string} [options.label] - Action log text
+     */
+    setActivations(values, { label = 'Set activations' } = {}) {
+      if (!Array.isArray(values) || values.length !== ASPECTS.length || !values.every(Number.isFinite)) {
+        console.warn(`setActivations expects ${ASPECTS.length} numbers`);
+        return;
+      }
+      store.updateBatchValues(values, { label });
+    },
+
+    /**
+     * Select an aspect (null clears the selection)
+     * @param {number|null} index - Aspect index (0-31)
+     */
+    selectAspect(index) {
+      store.setAspect(index);
+    },
+
+    setMode: store.setMode,
+    setTheme: store.setTheme,
+    setLayout: store.setLayout,
+
+    /**
+     * Listen for a clock event (aspectselect, modechange, change)
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the CustomEvent
+     * @returns {Function} Removes the listener
+     */
+    on(type, handler) {
+      container.addEventListener(type, handler);
+      return () => container.removeEventListener(type, handler);
+    },
+
+    /**
+     * Stop the clock and remove it from the container
+     */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      if (animationFrame !== null) cancelAnimationFrame(animationFrame);
+      animationFrame = null;
+      if (paintFrame !== null) cancelAnimationFrame(paintFrame);
+      paintFrame = null;
+      clearInterval(breathTimer);
+      breathTimer = null;
+      cleanups.forEach(cleanup => cleanup());
+      svg.remove();
+    }
+  };
+}
+
+/**
+ * Aspect index of a node element, or null for anything else
+ */
+function indexOf(el) {
+  if (!el || !el.hasAttribute || !el.hasAttribute('data-aspect-index')) return null;
+  return parseInt(el.getAttribute('data-aspect-index'));
+}
+
+/**
+ * Parse an activations attribute ("40, 55, 70, …")
+ * @param {string|null} value - Attribute value
+ * @returns {Array<number>|undefined} Numbers, or undefined when absent
+ */
+export function parseActivationsAttribute(value) {
+  if (value === null || value === undefined || !value.trim()) return undefined;
+  return value.split(/[\s,]+/).filter(Boolean).map(Number);
+}
+
+/**
+ * Register the <self-clock> element
+ * Attributes: size, mode, theme, layout, activations (comma-separated),
+ * interactive ("false" for display only) and label. mode, theme and layout
+ * update a live clock; the rest apply when the element is connected.
+ * @param {string} tagName - Element name
+ * @returns {Function|null} Element class, or null without custom elements
+ */
+export function defineSelfClockElement(tagName = 'self-clock') {
+  if (!globalThis.customElements) return null;
+  const existing = customElements.get(tagName);
+  if (existing) return existing;
+
+  class SelfClockElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['mode', 'theme', 'layout'];
+    }
+
+    constructor() {
+      super();
+      this.clock = null;
+    }
+
+    connectedCallback() {
+      if (this.clock) return;
+      if (!this.style.display) this.style.display = 'inline-block';
+      const size = this.hasAttribute('size') ? Number(this.getAttribute('size')) : DEFAULT_SIZE;
+      this.clock = createSelfClock(this, {
+        size,
+        mode: this.getAttribute('mode') ?? undefined,
+        theme: this.getAttribute('theme') ?? undefined,
+        layout: this.getAttribute('layout') ?? undefined,
+        activations: parseActivationsAttribute(this.getAttribute('activations')),
+        interactive: this.getAttribute('interactive') !== 'false',
+        label: this.getAttribute('label') ?? undefined
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.clock) this.clock.destroy();
+      this.clock = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.clock || value === null || value === oldValue) return;
+      if (name === 'mode' && value !== this.clock.getState().mode) this.clock.setMode(value);
+      if (name === 'theme') this.clock.setTheme(value);
+      if (name === 'layout') this.clock.setLayout(value);
+    }
+
+    /**
+     * @returns {Array<number>} The 32 target activations ([] before connecting)
+     */
+    getActivations() {
+      return this.clock ? this.clock.getActivations() : [];
+    }
+
+    /**
+     * Set all 32 activations (see createSelfClock)
+     */
+    setActivations(values, options) {
+      if (this.clock) this.clock.setActivations(values, options);
+    }
+  }
+
+  customElements.define(tagName, SelfClockElement);
+  return SelfClockElement;
+}
+
+defineSelfClockElement();
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Run the offline "I feel…" analyzer on some text and show which words drove
+ * each activation. Meant for tuning js/lexicon.js.
+ *
+ * Usage: node scripts/analyze-text.mjs [--json] "<text>" ["<more text>" ...]
+ *
+ * --json prints the full analysis (activations, lens scores, explanations).
+ * Like render-svg.mjs, this needs a Node version that detects ES module
+ * syntax (22.12+, or 20.10+ with --experimental-detect-module).
+ */
+import { analyzeText, describeExplanation } from '../js/analyzer.js';
+
+const USAGE = 'Usage: node scripts/analyze-text.mjs [--json] "<text>" ["<more text>" ...]';
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const texts = args.filter(arg => arg !== '--json');
+  if (!texts.length) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  texts.forEach(text => {
+    const analysis = analyzeText(text);
+    if (json) {
+      console.log(JSON.stringify({ text, ...analysis }, null, 2));
+      return;
+    }
+    console.log(`"${text}"`);
+    console.log(`  Lens: ${analysis.dominantLens} (${Object.entries(analysis.lensScores).map(([lens, score]) => `${lens} ${score.toFixed(2)}`).join(', ')})`);
+    console.log(`  ${analysis.reflection}`);
+    analysis.explanations.forEach(explanation => console.log(`  - ${describeExplanation(explanation)}`));
+  });
+}
+
+main();
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * Self-checks for the DOM-free modules: snapshot migration, export /
+ * import, the profile exports, the metrics and resonance threshold, the
+ * headless renderer, history, deep links, the lifespan hand, filters, the
+ * echo provider and the offline analyzer. Each check builds its own store.
+ *
+ * Usage: node scripts/check-modules.mjs [name-filter]
+ *
+ * Prints one line per check and exits non-zero if any fails. This needs a
+ * Node version that detects ES module syntax (22.12+, or 20.10+ with
+ * --experimental-detect-module).
+ */
+import assert from 'assert/strict';
+import { ASPECTS, VIS_CONFIG } from '../js/data.js';
+import { createStore } from '../js/store.js';
+import { parseSnapshot, createSnapshot, SCHEMA_VERSION } from '../js/schema.js';
+import { toJSON, toCSV } from '../js/exporters.js';
+import {
+  computeSCI, computeMetrics, computeMetricsFromExport, computeResonanceLinks
+} from '../js/metrics.js';
+import { renderClockToString } from '../js/renderer.js';
+import { createHistory } from '../js/history.js';
+import { encodeState, decodeHash } from '../js/deeplink.js';
+import {
+  DEFAULT_FILTER, validateFilter, selectMatchingIds, keepLensTags, availableTags
+} from '../js/filters.js';
+import { analyzeText } from '../js/analyzer.js';
+import {
+  validateEchoResponse, createEchoProvider, createStubBackend, createReplayBackend
+} from '../js/echo.js';
+
+/**
+ * A spread of activations, the same on every run
+ */
+const ACTIVATIONS = ASPECTS.map((aspect, i) => (i * 37) % 101);
+
+/**
+ * A filter using every field
+ */
+const FULL_FILTER = {
+  query: 'wave',
+  rings: ['Imprinting', 'Intimacy'],
+  stages: ['Bonding', 'Return'],
+  minActivation: 20,
+  maxActivation: 80,
+  tags: ['Se', 'Brainstem & Arousal Networks'],
+  sort: 'name'
+};
+
+/**
+ * A well-formed echo response
+ */
+const ECHO_RESPONSE = {
+  reflection: 'A steady mind.',
+  activations: ACTIVATIONS.map(value => Math.min(100, value)),
+  dominant_lens: 'mind'
+};
+
+/**
+ * Run fn with console.warn silenced (fallbacks warn by design)
+ */
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+/**
+ * Snapshot fields that survive a round trip (everything but the timestamp)
+ */
+function persisted(state) {
+  const { timestamp, ...snapshot } = createSnapshot(state);
+  return snapshot;
+}
+
+const CHECKS = {
+  'schema: v1 and v2 files migrate to the current version'() {
+    const v1 = parseSnapshot({ mode: 'body', aspect: { id: 4, name: ASPECTS[4].name }, ring: 'Intimacy', stage: null });
+    assert.ok(v1.ok, v1.errors.join('; '));
+    assert.equal(v1.snapshot.schemaVersion, SCHEMA_VERSION);
+    assert.equal(v1.snapshot.selection.aspect, 4);
+    assert.deepEqual(v1.snapshot.filter.rings, ['Intimacy']);
+
+    const v2 = parseSnapshot({ schemaVersion: 2, mode: 'mind', selection: { aspect: null, ring: null, stage: 'Return' } });
+    assert.ok(v2.ok, v2.errors.join('; '));
+    assert.deepEqual(v2.snapshot.filter, { ...DEFAULT_FILTER, rings: [], stages: ['Return'] });
+
+    const byName = parseSnapshot({ mode: 'mind', aspect: { name: ASPECTS[9].name } });
+    assert.equal(byName.snapshot.selection.aspect, 9, 'a hand-edited file may name the aspect');
+
+    assert.equal(parseSnapshot({ schemaVersion: SCHEMA_VERSION + 1 }).ok, false);
+    assert.equal(parseSnapshot({ schemaVersion: SCHEMA_VERSION, mode: 'mind', selection: { aspect: 32, ring: null, stage: null } }).ok, false);
+  },
+
+  'import: exportState then importState keeps the state'() {
+    const store = createStore({ mode: 'soul', activations: ACTIVATIONS.map(value => value + 0.25) });
+    store.setFilter({ ...FULL_FILTER, tags: ['The Seer'] });
+    store.toggleDisplay('showResonance', false);
+
+    const restored = createStore();
+    const result = restored.importState(store.exportState());
+    assert.ok(result.ok, result.errors.join('; '));
+    assert.deepEqual(persisted(restored.getState()), persisted(store.getState()));
+  },
+
+  'exports: the JSON profile imports back and the CSV has a row per aspect'() {
+    const store = createStore({ mode: 'body', activations: ACTIVATIONS });
+    const json = toJSON(store.getState());
+    const csv = toCSV(store.getState());
+
+    const profile = JSON.parse(json);
+    assert.equal(profile.aspects.length, ASPECTS.length);
+    assert.equal(profile.metrics.peak.activation, Math.max(...ACTIVATIONS));
+    const restored = createStore();
+    const result = restored.importState(json);
+    assert.ok(result.ok, result.errors.join('; '));
+    assert.deepEqual(persisted(restored.getState()), persisted(store.getState()));
+
+    const rows = csv.trim().split('\r\n');
+    assert.equal(rows.length, ASPECTS.length + 1);
+    assert.ok(rows[0].startsWith('id,name,'));
+    assert.equal(rows[1].split(',').pop(), String(ACTIVATIONS[0]));
+  },
+
+  'metrics: SCI and resonance, live and from an export'() {
+    assert.deepEqual(computeSCI(ASPECTS.map(() => 40)), { mean: 40, std: 0, sci: 4000 });
+    const metrics = computeMetrics(ACTIVATIONS);
+    assert.equal(metrics.resonance.total, ASPECTS.length * (ASPECTS.length - 1) / 2);
+    assert.equal(metrics.energyMatter.total, ACTIVATIONS.reduce((sum, value) => sum + value, 0));
+
+    const loose = computeMetrics(ACTIVATIONS, { threshold: 50 }).resonance.activationRatio;
+    const strict = computeMetrics(ACTIVATIONS, { threshold: 5 }).resonance.activationRatio;
+    assert.ok(loose > strict);
+    assert.equal(metrics.resonance.activationRatio,
+      computeMetrics(ACTIVATIONS, { threshold: VIS_CONFIG.RESONANCE_THRESHOLD }).resonance.activationRatio);
+
+    const exported = computeMetricsFromExport(toJSON(createStore({ activations: ACTIVATIONS }).getState()));
+    assert.ok(exported.ok, exported.errors.join('; '));
+    assert.deepEqual(exported.metrics, metrics);
+  },
+
+  'metrics: the resonance threshold draws links and is exported'() {
+    const links = computeResonanceLinks(ACTIVATIONS, 20);
+    assert.ok(links.length > 0);
+    assert.ok(links.every(({ from, to }) => Math.abs(ACTIVATIONS[from] - ACTIVATIONS[to]) <= 20));
+    assert.deepEqual(computeResonanceLinks(ASPECTS.map(() => 0)), [], 'silent aspects never resonate');
+
+    const store = createStore({ activations: ACTIVATIONS });
+    store.setResonanceThreshold(50);
+    const json = toJSON(store.getState());
+    const loose = computeMetrics(ACTIVATIONS, { threshold: 50 }).resonance.activationRatio;
+    const profile = JSON.parse(json);
+    assert.equal(profile.metrics.resonance.threshold, 50);
+    assert.equal(profile.metrics.resonance.activationRatio, Math.round(loose * 100) / 100);
+    assert.equal(computeMetricsFromExport(json).metrics.resonance.activationRatio, loose);
+  },
+
+  'render: the same state always gives the same SVG'() {
+    const build = () => {
+      const store = createStore({ mode: 'soul', activations: ACTIVATIONS });
+      store.setAspect(9);
+      store.setFilter({ rings: ['Intimacy'] });
+      return store;
+    };
+    const store = build();
+    const svg = renderClockToString(store.getState(), { width: 400, height: 400 });
+    assert.equal(renderClockToString(store.getState(), { width: 400, height: 400 }), svg, 'rendering twice');
+    assert.equal(renderClockToString(build().getState(), { width: 400, height: 400 }), svg, 'a second store');
+    assert.equal((svg.match(/data-aspect-index=/g) || []).length, ASPECTS.length);
+
+    store.setAspect(10);
+    assert.notEqual(renderClockToString(store.getState(), { width: 400, height: 400 }), svg, 'a new selection shows');
+  },
+
+  'history: undo, redo, coalescing and no-op edits'() {
+    let time = 0;
+    const history = createHistory({ value: 0 }, { now: () => time });
+    assert.ok(history.push('a', { value: 1 }, 'slider'));
+    time += 100;
+    assert.ok(history.push('b', { value: 2 }, 'slider'));
+    assert.equal(history.getLog().entries.length, 2, 'same key within the window merges');
+    time += 5000;
+    history.push('c', { value: 3 }, 'slider');
+    assert.equal(history.getLog().entries.length, 3, 'same key after the window does not');
+    assert.equal(history.push('d', { value: 3 }), false, 'an unchanged state is ignored');
+
+    assert.deepEqual(history.undo(), { value: 2 });
+    assert.deepEqual(history.undo(), { value: 0 });
+    assert.equal(history.undo(), null);
+    assert.deepEqual(history.redo(), { value: 2 });
+    history.push('e', { value: 9 });
+    assert.equal(history.canRedo(), false, 'a new edit drops the redo branch');
+  },
+
+  'deeplink: encode then decode keeps the state'() {
+    const store = createStore({ mode: 'body', activations: ACTIVATIONS });
+    store.setAspect(5);
+    store.setFilter(FULL_FILTER);
+    store.setResonanceThreshold(25);
+    const hash = encodeState(store.getState());
+    const { ok, snapshot, errors } = decodeHash(hash);
+    assert.ok(ok, errors.join('; '));
+
+    const restored = createStore();
+    restored.importState(snapshot);
+    assert.deepEqual(persisted(restored.getState()), persisted(store.getState()));
+    assert.equal(decodeHash(hash.replace('m=body', 'm=spirit')).ok, false);
+  },
+
+  'lifespan: imports and activation edits release the hand'() {
+    const store = createStore({ activations: ACTIVATIONS });
+    const targets = () => store.getState().aspects.map(aspect => aspect.targetValue);
+    const exported = store.exportState();
+    store.setDevStage(3);
+    assert.equal(store.getState().devStage, 3);
+    store.importState(exported);
+    assert.equal(store.getState().devStage, null);
+    store.setStageWeight(3, 1.5);
+    assert.deepEqual(targets(), ACTIVATIONS, 'a released hand leaves imported values alone');
+
+    store.setDevStage(5);
+    store.setActivation(0, 10);
+    assert.equal(store.getState().devStage, null);
+    store.setDevStage(5);
+    store.updateBatchValues(ACTIVATIONS);
+    assert.equal(store.getState().devStage, null);
+  },
+
+  'filters: every part narrows the match set'() {
+    const store = createStore({ mode: 'mind', activations: ACTIVATIONS });
+    const all = selectMatchingIds(store.getState());
+    assert.equal(all.length, ASPECTS.length);
+
+    store.setFilter({ rings: ['Imprinting'] });
+    assert.ok(selectMatchingIds(store.getState()).every(id => ASPECTS[id].ringName === 'Imprinting'));
+
+    store.setFilter({ rings: [], minActivation: 40, maxActivation: 60 });
+    assert.ok(selectMatchingIds(store.getState()).every(id => ACTIVATIONS[id] >= 40 && ACTIVATIONS[id] <= 60));
+
+    store.resetFilter();
+    assert.deepEqual(store.getState().filter, DEFAULT_FILTER);
+  },
+
+  'filters: tags are checked against the lens and pruned on a lens switch'() {
+    assert.deepEqual(validateFilter({ tags: ['Se'] }, 'body'), []);
+    assert.equal(validateFilter({ tags: ['principle:se'] }, 'body').length, 1);
+    assert.deepEqual(keepLensTags(['Se', 'principle:se'], 'body'), ['Se']);
+
+    const store = createStore({ mode: 'soul' });
+    store.setFilter({ tags: ['Se', 'principle:se'] });
+    store.setMode('body');
+    assert.deepEqual([...store.getState().filter.tags], ['Se']);
+    assert.ok(store.getState().filter.tags.every(tag => availableTags('body').includes(tag)));
+  },
+
+  async 'echo: responses are validated'() {
+    assert.ok(validateEchoResponse(ECHO_RESPONSE).ok);
+    assert.ok(validateEchoResponse(JSON.stringify(ECHO_RESPONSE)).ok);
+    assert.equal(validateEchoResponse('{"reflection": ').ok, false, 'malformed JSON');
+    assert.equal(validateEchoResponse({ ...ECHO_RESPONSE, activations: ECHO_RESPONSE.activations.slice(1) }).ok, false);
+    assert.equal(validateEchoResponse({ ...ECHO_RESPONSE, activations: [...ECHO_RESPONSE.activations.slice(1), 101] }).ok, false);
+    assert.equal(validateEchoResponse({ ...ECHO_RESPONSE, dominant_lens: 'spirit' }).ok, false);
+    assert.equal(validateEchoResponse({ ...ECHO_RESPONSE, reflection: ' ' }).ok, false);
+
+    const stub = createStubBackend();
+    const first = await stub.analyze('I feel adrift');
+    assert.ok(validateEchoResponse(first).ok);
+    assert.deepEqual(await stub.analyze('  i feel ADRIFT '), first, 'the stub is deterministic');
+  },
+
+  async 'echo: a malformed or missing reply falls back'() {
+    const replay = createReplayBackend([
+      { input: 'steady', response: ECHO_RESPONSE },
+      { input: 'broken', response: { ...ECHO_RESPONSE, activations: [1, 2, 3] } }
+    ]);
+    const provider = createEchoProvider({ backend: replay });
+    const good = await provider.analyze('  Steady ');
+    assert.ok(good.ok);
+    assert.equal(good.source, 'replay');
+    assert.deepEqual(good.result.activations, ECHO_RESPONSE.activations);
+
+    for (const text of ['broken', 'never recorded']) {
+      const result = await quietly(() => provider.analyze(text));
+      assert.ok(result.ok, text);
+      assert.equal(result.fallback, true, text);
+      assert.equal(result.source, 'stub', text);
+      assert.ok(result.errors[0].startsWith('replay: '), text);
+    }
+
+    const alone = createEchoProvider({ backend: replay, fallback: null });
+    const failed = await alone.analyze('broken');
+    assert.equal(failed.ok, false);
+    assert.equal(failed.fallback, false);
+  },
+
+  async 'echo: timeouts fall back and a new request cancels the old one'() {
+    const slow = createStubBackend({ delayMs: 200 });
+    const timed = createEchoProvider({
+      backend: slow,
+      fallback: createReplayBackend([{ input: 'hello', response: ECHO_RESPONSE }]),
+      timeoutMs: 20
+    });
+    const result = await quietly(() => timed.analyze('hello'));
+    assert.ok(result.ok);
+    assert.equal(result.source, 'replay');
+    assert.match(result.errors[0], /^stub: Timed out/);
+
+    const provider = createEchoProvider({ backend: createStubBackend({ delayMs: 20 }) });
+    const older = provider.analyze('first');
+    const newer = provider.analyze('second');
+    assert.equal((await older).cancelled, true);
+    assert.ok((await newer).ok);
+    assert.equal(provider.isPending(), false);
+
+    const dropped = provider.analyze('third');
+    assert.equal(provider.cancel(), true);
+    assert.equal((await dropped).cancelled, true);
+  },
+
+  'analyzer: negation, intensity and clause breaks'() {
+    const SAFETY = ASPECTS.findIndex(aspect => aspect.name === 'Safety');
+    const safety = (text) => analyzeText(text).activations[SAFETY];
+    const neutral = safety('I feel');
+    assert.ok(safety('I feel safe') > neutral);
+    assert.ok(safety('I feel very safe') > safety('I feel safe'), 'an intensifier strengthens');
+    assert.ok(safety('I do not feel safe') < neutral, 'a negation flips');
+    assert.ok(safety('I do not feel very safe') < neutral, 'a negated intensifier still points down');
+    assert.ok(safety('I do not feel very safe') > safety('I do not feel safe'), 'but is milder than the plain negation');
+    assert.equal(safety('not. safe'), safety('I feel safe'), 'a clause break ends the negation');
+    assert.equal(safety('not, very safe'), safety('I feel very safe'));
+    assert.equal(safety('not that it ever felt safe'), safety('I feel safe'), 'a negation reaches only a few words');
+  }
+};
+
+async function main() {
+  const only = process.argv[2] || '';
+  const names = Object.keys(CHECKS).filter(name => name.includes(only));
+  if (!names.length) {
+    console.error(`No checks match "${only}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let failed = 0;
+  for (const name of names) {
+    try {
+      await CHECKS[name]();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${name}`);
+      console.error(`  - ${error.message}`);
+    }
+  }
+  console.log(`${names.length - failed}/${names.length} checks passed`);
+  if (failed) process.exitCode = 1;
+}
+
+main();
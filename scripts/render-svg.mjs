@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Render exported Self Clock JSON files to standalone SVG images, without a
+ * browser. Each <name>.json is written as <name>.svg next to it, or into
+ * --out <dir> when given.
+ *
+ * Usage: node scripts/render-svg.mjs [--out <dir>] [--size <px>] [--theme <id>] <export.json> [more.json ...]
+ *
+ * --theme picks a colour theme from js/themes.js (default: dark).
+ *
+ * Output is deterministic for a given file (motion is frozen), so it can
+ * also be used for snapshot comparisons. Like sci-metrics.mjs, this needs a
+ * Node version that detects ES module syntax (22.12+, or 20.10+ with
+ * --experimental-detect-module).
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseSnapshot, snapshotToState } from '../js/schema.js';
+import { renderClockToString } from '../js/renderer.js';
+import { THEMES, DEFAULT_THEME } from '../js/themes.js';
+
+function parseArgs(argv) {
+  const options = { out: null, size: 800, theme: DEFAULT_THEME, inputs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--out') {
+      options.out = argv[++i];
+    } else if (argv[i] === '--size') {
+      options.size = Number(argv[++i]);
+    } else if (argv[i] === '--theme') {
+      options.theme = argv[++i];
+    } else {
+      options.inputs.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+function renderFile(filePath, options) {
+  const { ok, snapshot, errors } = parseSnapshot(fs.readFileSync(filePath, 'utf8'));
+  if (!ok) {
+    console.error(`❌ ${filePath}`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    return false;
+  }
+
+  const state = { ...snapshotToState(snapshot), theme: options.theme };
+  const svg = renderClockToString(state, { width: options.size, height: options.size });
+  const outDir = options.out || path.dirname(filePath);
+  const outPath = path.join(outDir, `${path.basename(filePath, path.extname(filePath))}.svg`);
+  fs.writeFileSync(outPath, svg);
+  console.log(`✅ ${filePath} → ${outPath}`);
+  return true;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.inputs.length || !Number.isFinite(options.size) || options.size <= 0 || !THEMES[options.theme]) {
+    console.error('Usage: node scripts/render-svg.mjs [--out <dir>] [--size <px>] [--theme <id>] <export.json> [more.json ...]');
+    console.error(`Themes: ${Object.keys(THEMES).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.out) fs.mkdirSync(options.out, { recursive: true });
+
+  const allOk = options.inputs.map(input => renderFile(input, options)).every(Boolean);
+  if (!allOk) process.exitCode = 1;
+}
+
+main();
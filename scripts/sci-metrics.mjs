@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Compute SCI, resonance coverage and Energy–Matter totals for exported
+ * Self Clock JSON files, without a browser.
+ *
+ * Usage: node scripts/sci-metrics.mjs <export.json> [more.json ...]
+ *
+ * The js/ modules are plain ES modules with no package.json, so this needs
+ * a Node version that detects ES module syntax (22.12+, or 20.10+ with
+ * --experimental-detect-module).
+ */
+import fs from 'fs';
+import path from 'path';
+import { computeMetricsFromExport } from '../js/metrics.js';
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function report(filePath) {
+  const result = computeMetricsFromExport(fs.readFileSync(filePath, 'utf8'));
+  if (!result.ok) {
+    console.error(`❌ ${filePath}`);
+    result.errors.forEach(error => console.error(`  - ${error}`));
+    return false;
+  }
+
+  const { sci, resonance, energyMatter } = result.metrics;
+  console.log(`📄 ${path.basename(filePath)}`);
+  console.log(`  SCI        ${sci.sci.toFixed(1)} (μ=${sci.mean.toFixed(1)}, σ=${sci.std.toFixed(1)})`);
+  console.log(`  Resonance  ${formatPercent(resonance.ratio)} (stage ${formatPercent(resonance.stageRatio)}, ring ${formatPercent(resonance.ringRatio)}, activation ${formatPercent(resonance.activationRatio)})`);
+  console.log(`  Energy     ΣE=${energyMatter.total.toFixed(1)}, metabolic ${formatPercent(energyMatter.metabolic)}`);
+  Object.entries(energyMatter.byNT).forEach(([nt, total]) => {
+    console.log(`    ${nt.padEnd(22)} ${total.toFixed(1)}`);
+  });
+  return true;
+}
+
+function main() {
+  const inputs = process.argv.slice(2);
+  if (!inputs.length) {
+    console.error('Usage: node scripts/sci-metrics.mjs <export.json> [more.json ...]');
+    process.exitCode = 1;
+    return;
+  }
+  const allOk = inputs.map(report).every(Boolean);
+  if (!allOk) process.exitCode = 1;
+}
+
+main();
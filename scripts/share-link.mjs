@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Print shareable deep links for exported Self Clock JSON files, or decode a
+ * link back into snapshot JSON.
+ *
+ * Usage: node scripts/share-link.mjs [--base <url>] <export.json> [more.json ...]
+ *        node scripts/share-link.mjs --decode <url-or-hash>
+ *
+ * --base defaults to self-clock-modular.html (a relative link). Like
+ * render-svg.mjs, this needs a Node version that detects ES module syntax
+ * (22.12+, or 20.10+ with --experimental-detect-module).
+ */
+import fs from 'fs';
+import { parseSnapshot } from '../js/schema.js';
+import { encodeSnapshot, decodeHash } from '../js/deeplink.js';
+
+const USAGE = [
+  'Usage: node scripts/share-link.mjs [--base <url>] <export.json> [more.json ...]',
+  '       node scripts/share-link.mjs --decode <url-or-hash>'
+].join('\n');
+
+function parseArgs(argv) {
+  const options = { base: 'self-clock-modular.html', decode: null, inputs: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--base') {
+      options.base = argv[++i];
+    } else if (argv[i] === '--decode') {
+      options.decode = argv[++i];
+    } else {
+      options.inputs.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+function linkFile(filePath, base) {
+  const { ok, snapshot, errors } = parseSnapshot(fs.readFileSync(filePath, 'utf8'));
+  if (!ok) {
+    console.error(`❌ ${filePath}`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    return false;
+  }
+  console.log(`${filePath}\t${base.replace(/#.*$/, '')}${encodeSnapshot(snapshot)}`);
+  return true;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.decode) {
+    const { ok, snapshot, errors } = decodeHash(options.decode.slice(options.decode.indexOf('#') + 1));
+    if (!ok) {
+      errors.forEach(error => console.error(`❌ ${error}`));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(JSON.stringify(snapshot, null, 2));
+    return;
+  }
+
+  if (!options.inputs.length || !options.base) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const allOk = options.inputs.map(input => linkFile(input, options.base)).every(Boolean);
+  if (!allOk) process.exitCode = 1;
+}
+
+main();